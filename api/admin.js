@@ -0,0 +1,128 @@
+// api/admin.js - Operator endpoint for API keys, daily image quotas and share cleanup
+//
+// Authenticated with `Authorization: Bearer $ADMIN_API_TOKEN`; the endpoint
+// is disabled when the token is not configured. It is meant for server-side
+// tooling, so no CORS headers are sent.
+//
+//   GET  ?resource=keys[&brand=]        list keys (never their secrets)
+//   GET  ?resource=quota&brand=         today's usage, limit and override
+//   POST { action: 'create_key', brand, name, scopes, allowedOrigins }
+//   POST { action: 'rotate_key', keyId, graceSeconds }
+//   POST { action: 'revoke_key', keyId }
+//   POST { action: 'set_quota', brand, dailyImageQuota, expiresAt, reason }
+//   POST { action: 'clear_quota', brand }
+//   POST { action: 'sweep_shares', dryRun, sweepId }   delete expired shares and their orphaned images;
+//        repeat with the returned sweepId until `done`
+const crypto = require('crypto');
+const { getBrandProfile } = require('../lib/brands');
+const { createApiKey, rotateApiKey, revokeApiKey, listApiKeys } = require('../lib/api-keys');
+const { getQuotaUsage, setQuotaOverride, clearQuotaOverride } = require('../lib/rate-limit');
+const { sweepShares } = require('../lib/shares');
+const { AppError, getRequestId, sendError } = require('../lib/errors');
+
+function isAdmin(req) {
+  const token = process.env.ADMIN_API_TOKEN;
+  const authorization = req.headers.authorization || '';
+  if (!token || !authorization.startsWith('Bearer ')) {
+    return false;
+  }
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const actual = crypto.createHash('sha256').update(authorization.slice(7).trim()).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function requireBrand(brand) {
+  const profile = getBrandProfile(brand);
+  if (!profile) {
+    throw new AppError('UNKNOWN_BRAND', { details: { brand } });
+  }
+  return profile;
+}
+
+async function handleAction(body) {
+  const { action, keyId, brand } = body;
+
+  switch (action) {
+    case 'create_key':
+      return createApiKey({
+        brand: body.brand,
+        name: body.name,
+        scopes: body.scopes,
+        allowedOrigins: body.allowedOrigins
+      });
+
+    case 'rotate_key': {
+      const graceSeconds = body.graceSeconds === undefined ? undefined : parseInt(body.graceSeconds, 10);
+      if (Number.isNaN(graceSeconds) || graceSeconds < 0) {
+        throw new AppError('INVALID_REQUEST', { message: 'graceSeconds must be a non-negative integer.' });
+      }
+      return rotateApiKey(keyId, { graceSeconds });
+    }
+
+    case 'revoke_key':
+      return { record: await revokeApiKey(keyId) };
+
+    case 'set_quota': {
+      requireBrand(brand);
+      const dailyImageQuota = parseInt(body.dailyImageQuota, 10);
+      if (Number.isNaN(dailyImageQuota) || dailyImageQuota < 0) {
+        throw new AppError('INVALID_REQUEST', { message: 'dailyImageQuota must be a non-negative integer.' });
+      }
+      if (body.expiresAt && Number.isNaN(Date.parse(body.expiresAt))) {
+        throw new AppError('INVALID_REQUEST', { message: 'expiresAt must be an ISO date.' });
+      }
+      const override = await setQuotaOverride(brand, {
+        dailyImageQuota,
+        expiresAt: body.expiresAt || null,
+        reason: body.reason || null
+      });
+      return { override };
+    }
+
+    case 'clear_quota':
+      requireBrand(brand);
+      return { cleared: await clearQuotaOverride(brand) };
+
+    case 'sweep_shares':
+      return {
+        sweep: await sweepShares({
+          sweepId: body.sweepId || null,
+          dryRun: body.dryRun === true || body.dryRun === 'true'
+        })
+      };
+
+    default:
+      throw new AppError('INVALID_REQUEST', { message: `Unknown action: ${action}` });
+  }
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader('X-Request-Id', getRequestId(req));
+
+  try {
+    if (!isAdmin(req)) {
+      throw new AppError('UNAUTHORIZED', { message: 'Admin token required.' });
+    }
+
+    if (req.method === 'GET' && req.query.resource === 'keys') {
+      if (req.query.brand) {
+        requireBrand(req.query.brand);
+      }
+      res.status(200).json({ success: true, keys: await listApiKeys(req.query.brand || null) });
+
+    } else if (req.method === 'GET' && req.query.resource === 'quota') {
+      const quota = await getQuotaUsage(requireBrand(req.query.brand));
+      res.status(200).json({ success: true, quota });
+
+    } else if (req.method === 'POST') {
+      const result = await handleAction(req.body || {});
+      res.status(200).json({ success: true, ...result });
+
+    } else {
+      throw new AppError(req.method === 'GET' ? 'INVALID_REQUEST' : 'METHOD_NOT_ALLOWED');
+    }
+
+  } catch (error) {
+    sendError(req, res, error, 'Admin');
+  }
+};
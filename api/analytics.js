@@ -1,16 +1,16 @@
 // api/analytics.js - Track global usage metrics
-const { Storage } = require('@google-cloud/storage');
-
-const keyJson = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-keyJson.private_key = keyJson.private_key.replace(/\\n/g, "\n");
-
-const storage = new Storage({
-  credentials: keyJson,
-  projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-});
-
-const bucketName = process.env.GOOGLE_STORAGE_BUCKET || 'jewelry-designs-bucket';
-const ANALYTICS_FILE = 'analytics/global-stats.json';
+const {
+  PROMPT_EXPERIMENTS,
+  EXPERIMENT_COUNTERS,
+  getExperiment,
+  assignExperiments,
+  summarizeExperiment
+} = require('../lib/experiments');
+const { AppError, getRequestId, sendError } = require('../lib/errors');
+const { setCorsHeaders, authorizeRequest } = require('../lib/api-keys');
+const { clientIp, enforceRateLimit } = require('../lib/rate-limit');
+const { getStore } = require('../lib/storage');
+const { analyticsStatsKey } = require('../lib/storage/keys');
 
 // Initialize with existing data
 const INITIAL_STATS = {
@@ -21,42 +21,28 @@ const INITIAL_STATS = {
   totalRefinements: 0,
   lastUpdated: new Date().toISOString(),
   dailyStats: {},
-  brandStats: {}
+  brandStats: {},
+  experimentStats: {}
 };
 
 async function getAnalytics() {
   try {
-    const bucket = storage.bucket(bucketName);
-    const file = bucket.file(ANALYTICS_FILE);
-    
-    const [exists] = await file.exists();
-    if (!exists) {
-      await file.save(JSON.stringify(INITIAL_STATS, null, 2), {
-        contentType: 'application/json'
-      });
-      return INITIAL_STATS;
-    }
-    
-    const [contents] = await file.download();
-    return JSON.parse(contents.toString());
+    return await getStore().getJson(analyticsStatsKey()) || INITIAL_STATS;
   } catch (error) {
     console.error('Error reading analytics:', error);
     return INITIAL_STATS;
   }
 }
 
-async function updateAnalytics(analytics) {
+// Concurrent events each re-read the stats and retry when another write won,
+// so no increment is lost.
+async function updateAnalytics(update) {
   try {
-    const bucket = storage.bucket(bucketName);
-    const file = bucket.file(ANALYTICS_FILE);
-    
-    analytics.lastUpdated = new Date().toISOString();
-    
-    await file.save(JSON.stringify(analytics, null, 2), {
-      contentType: 'application/json'
-    });
-    
-    return analytics;
+    return await getStore().updateJson(analyticsStatsKey(), (analytics) => {
+      update(analytics);
+      analytics.lastUpdated = new Date().toISOString();
+      return analytics;
+    }, { initial: INITIAL_STATS });
   } catch (error) {
     console.error('Error updating analytics:', error);
     throw error;
@@ -67,8 +53,7 @@ function getTodayKey() {
   return new Date().toISOString().split('T')[0];
 }
 
-async function trackEvent(eventType, data = {}) {
-  const analytics = await getAnalytics();
+function applyEvent(analytics, eventType, data) {
   const today = getTodayKey();
   const brand = data.brand || 'default';
   
@@ -146,6 +131,24 @@ async function trackEvent(eventType, data = {}) {
   }
   
   analytics.brandStats[brand].lastUsed = new Date().toISOString();
+
+  // Events that carry the session id are also counted for the session's
+  // experiment variants; assignment is deterministic so it is recomputed here.
+  const counter = EXPERIMENT_COUNTERS[eventType];
+  if (counter && data.sessionId) {
+    analytics.experimentStats = analytics.experimentStats || {};
+    assignExperiments(data.sessionId, brand).forEach(({ experiment, variant }) => {
+      const experimentStats = analytics.experimentStats[experiment] = analytics.experimentStats[experiment] || {};
+      const variantStats = experimentStats[variant] = experimentStats[variant] || {
+        sessions: 0,
+        images: 0,
+        downloads: 0,
+        shares: 0,
+        refinements: 0
+      };
+      variantStats[counter]++;
+    });
+  }
   
   // Clean up old daily stats (keep last 90 days)
   const ninetyDaysAgo = new Date();
@@ -158,27 +161,84 @@ async function trackEvent(eventType, data = {}) {
     }
   });
   
-  await updateAnalytics(analytics);
-  return analytics;
+}
+
+function trackEvent(eventType, data = {}) {
+  return updateAnalytics(analytics => applyEvent(analytics, eventType, data));
+}
+
+const EMPTY_DAY = {
+  imagesGenerated: 0,
+  sessions: 0,
+  downloads: 0,
+  shares: 0,
+  refinements: 0,
+  brands: {}
+};
+
+// What a retailer's key may see: its own brand's counters only
+function brandView(analytics, brand) {
+  const stats = analytics.brandStats[brand] || {};
+  const day = analytics.dailyStats[getTodayKey()]?.brands[brand] || {};
+  return {
+    global: {
+      totalImagesGenerated: stats.totalImages || 0,
+      totalSessions: stats.totalSessions || 0,
+      totalDownloads: stats.totalDownloads || 0,
+      totalShares: stats.totalShares || 0,
+      totalRefinements: stats.totalRefinements || 0
+    },
+    today: {
+      imagesGenerated: day.images || 0,
+      sessions: day.sessions || 0,
+      downloads: day.downloads || 0,
+      shares: day.shares || 0,
+      refinements: day.refinements || 0,
+      brands: { [brand]: day }
+    },
+    brands: stats.firstUsed ? { [brand]: stats } : {}
+  };
 }
 
 module.exports = async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  setCorsHeaders(req, res, 'GET, POST, OPTIONS');
+  res.setHeader('X-Request-Id', getRequestId(req));
   
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
   
   try {
-    if (req.method === 'GET') {
-      // Get analytics data
+    const access = await authorizeRequest(req, res, req.method === 'POST' ? 'analytics:write' : 'analytics:read');
+
+    if (req.method === 'GET' && req.query.report === 'experiments') {
       const analytics = await getAnalytics();
-      const today = getTodayKey();
-      
+      const experimentStats = analytics.experimentStats || {};
+
+      // Experiment counters are not split by brand, so a retailer only sees
+      // the experiments that run for nobody else
+      let experiments = access.brand
+        ? PROMPT_EXPERIMENTS.filter(({ brands }) => brands?.length === 1 && brands[0] === access.brand)
+        : PROMPT_EXPERIMENTS;
+      if (req.query.experiment) {
+        const experiment = getExperiment(req.query.experiment);
+        if (!experiment || !experiments.includes(experiment)) {
+          throw new AppError('NOT_FOUND', { message: 'Experiment not found.' });
+        }
+        experiments = [experiment];
+      }
+
       res.status(200).json({
         success: true,
+        experiments: experiments.map(experiment => summarizeExperiment(experiment, experimentStats[experiment.id])),
+        lastUpdated: analytics.lastUpdated
+      });
+
+    } else if (req.method === 'GET') {
+      // Get analytics data
+      const analytics = await getAnalytics();
+      const today = getTodayKey();
+      const view = access.brand ? brandView(analytics, access.brand) : {
         global: {
           totalImagesGenerated: analytics.totalImagesGenerated,
           totalSessions: analytics.totalSessions,
@@ -186,43 +246,41 @@ module.exports = async function handler(req, res) {
           totalShares: analytics.totalShares,
           totalRefinements: analytics.totalRefinements
         },
-        today: analytics.dailyStats[today] || {
-          imagesGenerated: 0,
-          sessions: 0,
-          downloads: 0,
-          shares: 0,
-          refinements: 0,
-          brands: {}
-        },
-        brands: analytics.brandStats,
+        today: analytics.dailyStats[today] || EMPTY_DAY,
+        brands: analytics.brandStats
+      };
+      
+      res.status(200).json({
+        success: true,
+        ...view,
         lastUpdated: analytics.lastUpdated
       });
       
     } else if (req.method === 'POST') {
+      await enforceRateLimit('analytics:ip', clientIp(req));
+
       // Track an event
       const { eventType, data } = req.body;
       
       if (!eventType) {
-        return res.status(400).json({ error: 'eventType is required' });
+        throw new AppError('INVALID_REQUEST', { message: 'eventType is required.' });
       }
       
-      const analytics = await trackEvent(eventType, data);
+      const analytics = await trackEvent(eventType, access.brand ? { ...data, brand: access.brand } : data);
       
       res.status(200).json({
         success: true,
-        totalImagesGenerated: analytics.totalImagesGenerated
+        totalImagesGenerated: access.brand
+          ? analytics.brandStats[access.brand].totalImages
+          : analytics.totalImagesGenerated
       });
       
     } else {
-      res.status(405).json({ error: 'Method not allowed' });
+      throw new AppError('METHOD_NOT_ALLOWED');
     }
     
   } catch (error) {
-    console.error('Analytics API Error:', error);
-    res.status(500).json({ 
-      error: 'Analytics tracking failed',
-      message: error.message
-    });
+    sendError(req, res, error, 'Analytics');
   }
 };
 
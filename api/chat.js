@@ -1,30 +1,69 @@
 // api/chat.js - Optimized backend with analytics tracking
-const { Anthropic } = require('@anthropic-ai/sdk');
-const { GoogleAuth } = require('google-auth-library');
-const axios = require('axios');
-const { Storage } = require('@google-cloud/storage');
+const crypto = require('crypto');
 const multer = require('multer');
+const { waitUntil } = require('@vercel/functions');
 const sharp = require('sharp');
-
-// Initialize services
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
-const keyJson = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-keyJson.private_key = keyJson.private_key.replace(/\\n/g, "\n");
-
-const auth = new GoogleAuth({
-  credentials: keyJson,
-  scopes: ['https://www.googleapis.com/auth/cloud-platform'],
-});
-
-const storage = new Storage({
-  credentials: keyJson,
-  projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-});
-
-const bucketName = process.env.GOOGLE_STORAGE_BUCKET || 'jewelry-designs-bucket';
+const { resolveBrandProfile } = require('../lib/brands');
+const {
+  DESIGN_SPEC_TOOL,
+  validateDesignSpec,
+  composePromptFromSpec,
+  extractDesignSpec
+} = require('../lib/design-spec');
+const { createJobRecord, saveJob } = require('../lib/jobs');
+const {
+  createSessionRecord,
+  saveSession,
+  loadSession,
+  updateSession,
+  recordImages,
+  recordTurn,
+  selectCurrentImage
+} = require('../lib/sessions');
+const { openShare, remixShare } = require('../lib/shares');
+const { buildHistory } = require('../lib/history');
+const { setCorsHeaders, authorizeRequest, visibleToBrand } = require('../lib/api-keys');
+const { clientIp, enforceRateLimit, reserveImages, releaseImages } = require('../lib/rate-limit');
+const { AppError, getRequestId, toErrorBody, sendError } = require('../lib/errors');
+const { runWithFallback, upscaleImage } = require('../lib/providers');
+const { processCatalogImage } = require('../lib/postprocess');
+const {
+  MAX_REFERENCE_IMAGES,
+  ANALYSIS_MODEL,
+  normalizeRole,
+  parseRoleList,
+  getRolePrompts,
+  hashContent,
+  analysisCacheKey,
+  mergeReferenceAnalyses
+} = require('../lib/references');
+const {
+  looksLikeSketch,
+  parseSketchNotes,
+  describeSketch
+} = require('../lib/sketch');
+const { renderTemplate, templateRef } = require('../lib/templates');
+const {
+  assignExperiments,
+  applyExperiments,
+  formatAssignments
+} = require('../lib/experiments');
+const { resolveLocale, getLanguageName, listLocales } = require('../lib/locales');
+const { getAnthropic } = require('../lib/services');
+const { getStore } = require('../lib/storage');
+const {
+  variantGroupKey,
+  referenceImageKey,
+  referenceAnalysisKey,
+  generatedImageStem,
+  variantStem,
+  masterImageKey,
+  renditionKey,
+  designViewStem,
+  designManifestKey,
+  isGeneratedImageKey
+} = require('../lib/storage/keys');
+const { callDependency, isTransientError } = require('../lib/resilience');
 
 // Optimized multer configuration
 const upload = multer({
@@ -33,24 +72,45 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024,
     fieldSize: 5 * 1024 * 1024,
     fields: 20,
+    files: MAX_REFERENCE_IMAGES + 1,
     fieldNameSize: 100
   },
   fileFilter: (req, file, cb) => {
-    cb(file.mimetype.startsWith('image/') ? null : new Error('Only image files allowed'), 
+    cb(file.mimetype.startsWith('image/') ? null : new AppError('INVALID_UPLOAD', { message: 'Only image files can be uploaded.' }), 
        file.mimetype.startsWith('image/'));
   }
 });
 
 // Utility functions
-async function uploadImageToStorage(buffer, filename, contentType = 'image/png') {
-  const bucket = storage.bucket(bucketName);
-  const file = bucket.file(filename);
-  
-  await file.save(buffer, {
-    metadata: { contentType }
-  });
-  
-  return `https://storage.googleapis.com/${bucketName}/${filename}`;
+async function uploadImageToStorage(buffer, filename, contentType = 'image/png', customMetadata = null) {
+  await getStore().put(filename, buffer, { contentType, metadata: customMetadata });
+  return getStore().publicUrl(filename);
+}
+
+// Only images this service generated or refined for the brand can be used as
+// a refinement base; the client names them, so anything else is rejected.
+function resolveStoredFilename(imageInfo, storagePrefix) {
+  const filename = imageInfo?.metadata?.filename || imageInfo?.filename
+    || getStore().keyFromPublicUrl(imageInfo?.metadata?.publicUrl || imageInfo?.publicUrl);
+
+  if (!isGeneratedImageKey(filename, storagePrefix)) {
+    throw new AppError('INVALID_REQUEST', {
+      message: 'Refinements must reference an image previously generated by this service.'
+    });
+  }
+  return filename;
+}
+
+// Design specs are saved as custom object metadata on each generated image
+async function readStoredDesignSpec(filename) {
+  try {
+    const info = await getStore().stat(filename);
+    const stored = info?.metadata?.designSpec;
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Could not read stored design spec:', error.message);
+    return null;
+  }
 }
 
 async function processReferenceImage(imageBuffer) {
@@ -69,12 +129,18 @@ async function processReferenceImage(imageBuffer) {
   };
 }
 
-async function analyzeImageWithClaude(base64Image) {
+const FALLBACK_REFERENCE_ANALYSIS = 'elegant jewelry piece with refined craftsmanship';
+
+// Analysis failures don't fail the turn: the generic fallback is used and
+// reported as degraded so the client can tell the customer.
+async function analyzeImageWithClaude(base64Image, role) {
+  const rolePrompts = getRolePrompts(role);
+
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    const response = await callDependency('anthropic', () => getAnthropic().messages.create({
+      model: ANALYSIS_MODEL,
       max_tokens: 500,
-      system: `Analyze jewelry images focusing on: type, materials, style, setting types, color scheme, and aesthetic. Keep descriptions concise but detailed for photography generation.`,
+      system: rolePrompts.system,
       messages: [{
         role: 'user',
         content: [
@@ -88,282 +154,1038 @@ async function analyzeImageWithClaude(base64Image) {
           },
           {
             type: 'text',
-            text: 'Analyze this jewelry image for photography generation purposes.'
+            text: rolePrompts.instruction
           }
         ]
       }]
-    });
+    }));
     
-    return response.content[0].text;
+    return { analysis: response.content[0].text, degraded: false };
   } catch (error) {
     console.error('Claude analysis error:', error);
-    return 'elegant jewelry piece with refined craftsmanship';
+    return { analysis: FALLBACK_REFERENCE_ANALYSIS, degraded: true };
   }
 }
 
-async function generateImageWithVertex(prompt, referenceImageAnalysis = '', isRefinement = false, baseImageDescription = '') {
-  const authClient = await auth.getClient();
-  const projectId = process.env.GOOGLE_CLOUD_PROJECT_ID;
-  const location = 'us-central1';
+// Identical uploads hash to the same key, so a repeat upload reuses the stored object
+async function storeReferenceImage(processedImage, profile) {
+  const hash = hashContent(processedImage.buffer);
+  const filename = referenceImageKey(hash, profile.storagePrefix);
+  const exists = await getStore().exists(filename);
 
-  const url = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/imagen-3.0-generate-001:predict`;
+  const publicUrl = exists
+    ? getStore().publicUrl(filename)
+    : await uploadImageToStorage(processedImage.buffer, filename, 'image/jpeg');
 
-  let catalogPrompt;
-  if (isRefinement && baseImageDescription) {
-    catalogPrompt = `jewelry product photography refinement: Starting with ${baseImageDescription}, now ${prompt}. MUST BE: pure white background, three-quarter view angle, professional studio lighting, sparkling reflections`;
-  } else if (referenceImageAnalysis) {
-    catalogPrompt = `jewelry product photography: ${prompt}, inspired by: ${referenceImageAnalysis}. MUST BE: pure white background, three-quarter view angle, professional studio lighting, sparkling reflections`;
-  } else {
-    catalogPrompt = `jewelry product photography: ${prompt}. MUST BE: pure white background, three-quarter view angle, professional studio lighting, sparkling reflections`;
+  return { hash, filename, publicUrl, reused: exists };
+}
+
+async function getReferenceAnalysis(hash, processedImage, role, options = {}) {
+  const { profile, refresh = false } = options;
+  const sidecarFilename = referenceAnalysisKey(hash, profile.storagePrefix);
+  const cacheKey = analysisCacheKey(role);
+
+  const sidecar = await getStore().getJson(sidecarFilename) || { hash, analyses: {} };
+  const cached = sidecar.analyses[cacheKey];
+  if (cached && !refresh) {
+    return { analysis: cached.analysis, cached: true, degraded: false };
   }
 
-  const requestBody = {
-    instances: [{
-      prompt: catalogPrompt,
-      negative_prompt: "colored background, dark background, gray background, black background, textured background, pattern background, front view, side view, back view, top view, multiple angles, blurry, low quality, hands, people, multiple items, text, watermark, shadows on background",
-      parameters: {
-        aspectRatio: "1:1",
-        outputMimeType: "image/png",
-        safetyFilterLevel: "block_some",
-        personGeneration: "dont_allow"
-      }
-    }],
-    parameters: { sampleCount: 1 }
+  const { analysis, degraded } = await analyzeImageWithClaude(processedImage.base64, role);
+
+  // Never cache the generic fallback; the next upload should try again.
+  // Uploads of the same image under other roles may land at the same time,
+  // so only this role's entry is written into the latest sidecar
+  if (!degraded) {
+    const entry = {
+      role,
+      model: ANALYSIS_MODEL,
+      analysis,
+      analyzedAt: new Date().toISOString()
+    };
+    await getStore().updateJson(sidecarFilename, (latest) => {
+      latest.analyses[cacheKey] = entry;
+      return latest;
+    }, { initial: { hash, analyses: {} } });
+  }
+
+  return { analysis, cached: false, degraded };
+}
+
+const MAX_VARIANTS = 4;
+// Groups saved before ids were random bytes used a shorter lowercase suffix
+const VARIANT_GROUP_ID_PATTERN = /^variants_\d+_(?:[a-z0-9]+|[A-Za-z0-9_-]{16})$/;
+
+const BASE_NEGATIVE_PROMPT = [
+  'colored background', 'dark background', 'gray background', 'black background',
+  'textured background', 'pattern background', 'multiple angles', 'blurry',
+  'low quality', 'hands', 'people', 'multiple items', 'text', 'watermark',
+  'shadows on background'
+];
+
+// Only applied when rendering the brand's standard catalog angle
+const OFF_ANGLE_NEGATIVE_PROMPT = ['front view', 'side view', 'back view', 'top view'];
+
+// Matched product shots for a catalog listing, rendered from one design and seed
+const VIEW_PACK_ANGLES = [
+  { view: 'three-quarter', label: 'Three-quarter view', cameraAngle: 'three-quarter view angle' },
+  { view: 'top-down', label: 'Top-down view', cameraAngle: 'top-down view looking straight down at the piece' },
+  { view: 'profile', label: 'Profile view', cameraAngle: 'side profile view at eye level showing the band and setting height' },
+  { view: 'gallery', label: 'Gallery view', cameraAngle: 'close-up side view of the setting gallery and prongs beneath the center stone' }
+];
+
+function buildNegativePrompt(profile, cameraAngle) {
+  const angleTerms = cameraAngle === profile.cameraAngle ? OFF_ANGLE_NEGATIVE_PROMPT : [];
+  return [...BASE_NEGATIVE_PROMPT, ...angleTerms, ...profile.negativePrompt].join(', ');
+}
+
+// Brand settings shared by every prompt template
+function brandTemplateVariables(profile) {
+  return {
+    persona: profile.persona,
+    tone: profile.tone,
+    brandName: profile.name,
+    categories: profile.categories,
+    metals: profile.metals,
+    stones: profile.stones,
+    backgroundColor: profile.backgroundColor,
+    cameraAngle: profile.cameraAngle,
+    catalogStyle: profile.catalogStyle
   };
+}
 
-  const { token: accessToken } = await authClient.getAccessToken();
+async function generateImage(prompt, options = {}) {
+  const {
+    referenceImageAnalysis = '',
+    isRefinement = false,
+    variants = 1,
+    profile,
+    cameraAngle = profile.cameraAngle,
+    seed = null,
+    filenameBase = null,
+    designSpec = null,
+    sketch = null,
+    experiments = []
+  } = options;
 
-  const response = await axios.post(url, requestBody, {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Content-Type': 'application/json'
-    },
-    timeout: 60000
+  const catalogPrompt = renderTemplate(profile.templates.catalog, {
+    ...brandTemplateVariables(profile),
+    prompt,
+    cameraAngle,
+    referenceAnalysis: referenceImageAnalysis,
+    sketchDescription: sketch ? describeSketch(sketch.notes) : ''
   });
 
-  if (response.data.predictions?.[0]?.bytesBase64Encoded) {
-    const prediction = response.data.predictions[0];
-    const base64Data = `data:image/png;base64,${prediction.bytesBase64Encoded}`;
-    const buffer = Buffer.from(prediction.bytesBase64Encoded, 'base64');
-    
-    const filename = isRefinement 
-      ? `jewelry-refined-${Date.now()}.png`
-      : `jewelry-catalog-${Date.now()}.png`;
-    const publicUrl = await uploadImageToStorage(buffer, filename, 'image/png');
-    
+  const { images, provider } = await runWithFallback('generate', {
+    prompt: catalogPrompt.text,
+    negativePrompt: buildNegativePrompt(profile, cameraAngle),
+    variants,
+    seed,
+    controlImage: sketch ? sketch.image : null
+  }, profile);
+
+  const defaultFilenameBase = generatedImageStem(profile.storagePrefix, { refined: isRefinement });
+
+  const template = { id: catalogPrompt.id, version: catalogPrompt.version };
+  const savedImages = await saveGeneratedImages(images, filenameBase || defaultFilenameBase, {
+    designSpec, profile, template, experiments, providerName: provider.name
+  });
+  return { images: savedImages, provider, template };
+}
+
+// Design ids end up in public image URLs, so they must not be guessable
+function generateDesignId() {
+  return `design_${Date.now()}_${crypto.randomBytes(12).toString('base64url')}`;
+}
+
+async function generateViewPack(designDescription, options = {}) {
+  const { profile, designSpec = null, seed = Math.floor(Math.random() * 2147483647), experiments = [] } = options;
+  const designId = generateDesignId();
+
+  const views = await Promise.all(VIEW_PACK_ANGLES.map(async ({ view, label, cameraAngle }) => {
+    const { images: [image], provider, template } = await generateImage(designDescription, {
+      profile,
+      cameraAngle,
+      seed,
+      filenameBase: designViewStem(profile.storagePrefix, designId, view),
+      designSpec,
+      experiments
+    });
+
+    return { view, label, ...image, provider: provider.name, promptTemplate: templateRef(template) };
+  }));
+
+  const manifest = {
+    id: designId,
+    brand: profile.id,
+    designDescription,
+    designSpec,
+    seed,
+    experiments,
+    views: views.map(({ view, label, publicUrl, filename, provider, promptTemplate }) => ({ view, label, publicUrl, filename, provider, promptTemplate })),
+    createdAt: new Date().toISOString()
+  };
+  await getStore().putJson(designManifestKey(profile.storagePrefix, designId), manifest);
+
+  return { designId, seed, views };
+}
+
+async function loadWatermark(profile) {
+  const watermark = profile.postProcessing?.watermark;
+  if (!watermark?.logoFile) {
+    return watermark || null;
+  }
+
+  const logo = await getStore().get(watermark.logoFile);
+  if (!logo) {
+    console.warn('Watermark logo not found, using text watermark:', watermark.logoFile);
+    return watermark.text ? { ...watermark, logoFile: undefined } : null;
+  }
+  return { ...watermark, logo };
+}
+
+// Post-process each raw render into a catalog-ready master PNG plus its
+// derived renditions, and store them all next to each other. Renditions
+// larger than the render are upscaled by the provider that made it; sizes
+// that still can't be produced are listed in `missingRenditions`.
+async function saveGeneratedImages(images, filenameBase, options = {}) {
+  const { designSpec = null, profile, template = null, experiments = [], providerName } = options;
+  const postProcessing = profile.postProcessing;
+  const watermark = postProcessing ? await loadWatermark(profile) : null;
+
+  const customMetadata = {};
+  if (designSpec) {
+    customMetadata.designSpec = JSON.stringify(designSpec);
+  }
+  if (template) {
+    customMetadata.promptTemplate = templateRef(template);
+  }
+  if (experiments.length > 0) {
+    customMetadata.experiments = formatAssignments(experiments);
+  }
+
+  return Promise.all(images.map(async (rawBuffer, index) => {
+    const stem = variantStem(filenameBase, index, images.length);
+    const filename = masterImageKey(stem);
+
+    const processed = postProcessing
+      ? await processCatalogImage(rawBuffer, {
+          padding: postProcessing.padding,
+          formats: postProcessing.formats,
+          watermark,
+          upscale: (buffer, factor) => upscaleImage(providerName, buffer, factor)
+        })
+      : { master: rawBuffer, renditions: [], missingRenditions: [] };
+
+    const publicUrl = await uploadImageToStorage(processed.master, filename, 'image/png', customMetadata);
+
+    const renditions = await Promise.all(processed.renditions.map(async (rendition) => {
+      const renditionFilename = renditionKey(stem, rendition.size, rendition.format);
+      const renditionUrl = await uploadImageToStorage(
+        rendition.buffer,
+        renditionFilename,
+        rendition.contentType,
+        customMetadata
+      );
+
+      return {
+        size: rendition.size,
+        width: rendition.width,
+        height: rendition.height,
+        format: rendition.format,
+        contentType: rendition.contentType,
+        filename: renditionFilename,
+        publicUrl: renditionUrl
+      };
+    }));
+
     return {
-      dataUrl: base64Data,
+      dataUrl: `data:image/png;base64,${processed.master.toString('base64')}`,
       publicUrl: publicUrl,
-      filename: filename
+      filename: filename,
+      renditions,
+      missingRenditions: processed.missingRenditions
     };
+  }));
+}
+
+// The group id is all it takes to pick one of its variants, so it must not be guessable
+function generateVariantGroupId() {
+  return `variants_${Date.now()}_${crypto.randomBytes(12).toString('base64url')}`;
+}
+
+// Records every image produced for one prompt so the user's pick can be
+// looked up again when they refine it later.
+async function saveVariantGroup(images, profile, designSpec = null) {
+  const groupId = generateVariantGroupId();
+  const group = {
+    id: groupId,
+    brand: profile.id,
+    designSpec,
+    variants: images.map(({ publicUrl, filename }) => ({ publicUrl, filename })),
+    selectedIndex: null,
+    createdAt: new Date().toISOString(),
+    selectedAt: null
+  };
+
+  await getStore().putJson(variantGroupKey(groupId), group);
+  return group;
+}
+
+// Group IDs come from clients, so they are checked before they become a key
+async function loadVariantGroup(groupId, profile) {
+  if (typeof groupId !== 'string' || !VARIANT_GROUP_ID_PATTERN.test(groupId)) {
+    throw new AppError('INVALID_REQUEST', { message: 'variantGroupId is not valid.' });
+  }
+  const group = await getStore().getJson(variantGroupKey(groupId));
+  return visibleToBrand(group, profile.id) ? group : null;
+}
+
+async function selectVariant(groupId, variantIndex, profile) {
+  const group = await loadVariantGroup(groupId, profile);
+  if (!group || !group.variants[variantIndex]) {
+    return null;
   }
 
-  throw new Error('No image generated in response');
+  group.selectedIndex = variantIndex;
+  group.selectedAt = new Date().toISOString();
+  await getStore().putJson(variantGroupKey(groupId), group);
+
+  return group;
+}
+
+function parseVariantCount(value) {
+  const count = parseInt(value, 10);
+  if (Number.isNaN(count)) {
+    return 1;
+  }
+  return Math.min(Math.max(count, 1), MAX_VARIANTS);
+}
+
+async function editImage(prompt, options = {}) {
+  const {
+    baseImageBuffer,
+    baseDesignSpec = null,
+    maskRegion = null,
+    variants = 1,
+    profile,
+    designSpec = null,
+    experiments = []
+  } = options;
+
+  const editPrompt = renderTemplate(profile.templates.refinement, {
+    ...brandTemplateVariables(profile),
+    prompt,
+    baseDescription: baseDesignSpec ? composePromptFromSpec(baseDesignSpec) : ''
+  });
+
+  const { images, provider } = await runWithFallback('edit', {
+    prompt: editPrompt.text,
+    negativePrompt: buildNegativePrompt(profile, profile.cameraAngle),
+    variants,
+    baseImage: baseImageBuffer,
+    maskRegion
+  }, profile);
+
+  const filenameBase = generatedImageStem(profile.storagePrefix, { refined: true });
+  const template = { id: editPrompt.id, version: editPrompt.version };
+  const savedImages = await saveGeneratedImages(images, filenameBase, {
+    designSpec, profile, template, experiments, providerName: provider.name
+  });
+  return { images: savedImages, provider, template };
+}
+
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// Runs one conversational turn. Hooks let the streaming mode forward Claude's
+// text and image progress as they happen; the return value is the full payload.
+async function runChatTurn(body, referenceUploads, turnContext, hooks = {}) {
+  const { 
+    message, 
+    isRefinement = 'false', 
+    baseImageData, 
+    maskRegion,
+    variants,
+    variantGroupId,
+    refreshReferenceAnalysis = 'false',
+    referenceMode
+  } = body;
+  const { profile: brandProfile, requested: requestedBrand, fallback: brandFallback, locale, session } = turnContext;
+
+  // The session id also keeps the customer in the same experiment variants
+  const sessionId = session.id;
+  const experiments = assignExperiments(sessionId, brandProfile.id);
+  const profile = applyExperiments(brandProfile, experiments);
+
+  const variantCount = parseVariantCount(variants);
+  const refinementCount = session.refinementCount;
+
+  const isRefinementRequest = isRefinement === 'true';
+  let baseImageInfo = null;
+  if (isRefinementRequest && baseImageData) {
+    try {
+      baseImageInfo = typeof baseImageData === 'string' ? JSON.parse(baseImageData) : baseImageData;
+    } catch (e) {
+      throw new AppError('INVALID_REQUEST', { message: 'The base image data must be valid JSON.' });
+    }
+  } else if (isRefinementRequest && variantGroupId) {
+    // Continue from whichever variant the user picked for this group
+    const group = await loadVariantGroup(variantGroupId, brandProfile);
+    if (!group || group.selectedIndex === null) {
+      throw new AppError('INVALID_REQUEST', { message: 'No variant has been selected for this group.' });
+    }
+    baseImageInfo = { metadata: group.variants[group.selectedIndex], variantGroupId: group.id };
+  } else if (isRefinementRequest && session.currentImage) {
+    // Without an explicit base, refine the session's latest (or picked) image
+    baseImageInfo = { metadata: session.currentImage };
+  }
+
+  // A refinement without a base would quietly become a brand-new design
+  if (isRefinementRequest && !baseImageInfo) {
+    throw new AppError('INVALID_REQUEST', { message: 'There is no design to refine yet. Please create one first.' });
+  }
+
+  let baseImage = null;
+  if (baseImageInfo) {
+    const baseFilename = resolveStoredFilename(baseImageInfo, profile.storagePrefix);
+    const baseImageBuffer = await getStore().get(baseFilename);
+
+    if (!baseImageBuffer) {
+      throw new AppError('INVALID_REQUEST', {
+        message: 'Refinements must reference an image previously generated by this service.'
+      });
+    }
+
+    baseImage = {
+      buffer: baseImageBuffer,
+      filename: baseFilename,
+      publicUrl: getStore().publicUrl(baseFilename),
+      designSpec: await readStoredDesignSpec(baseFilename)
+    };
+  }
+
+  let parsedMaskRegion = null;
+  if (baseImage && maskRegion) {
+    try {
+      parsedMaskRegion = typeof maskRegion === 'string' ? JSON.parse(maskRegion) : maskRegion;
+    } catch (e) {
+      throw new AppError('INVALID_REQUEST', { message: 'The mask region must be valid JSON.' });
+    }
+  }
+
+  console.log('Processing request:', {
+    isRefinement: isRefinementRequest,
+    hasBaseImage: !!baseImage,
+    hasMask: !!parsedMaskRegion,
+    variants: variantCount,
+    refinementCount,
+    messageLength: message?.length || 0,
+    brand: requestedBrand,
+    profile: `${profile.id}@${profile.version}`,
+    brandFallback
+  });
+  
+  const referenceImages = [];
+  let sketch = null;
+  
+  if (referenceUploads.length > 0) {
+    const roles = referenceUploads.map(({ role }) => normalizeRole(role));
+    const invalid = referenceUploads.filter((_, index) => roles[index] === null).map(({ role }) => role);
+    if (invalid.length > 0) {
+      throw new AppError('INVALID_REQUEST', {
+        message: `Unknown reference role: ${invalid.join(', ')}`,
+        details: { invalidRoles: invalid }
+      });
+    }
+
+    const forceSketch = referenceMode === 'sketch';
+    const refresh = refreshReferenceAnalysis === 'true' || refreshReferenceAnalysis === true;
+
+    const analyzed = await Promise.all(referenceUploads.map(async ({ file, role: requestedRole }, index) => {
+      const processedImage = await processReferenceImage(file.buffer).catch((error) => {
+        throw new AppError('INVALID_UPLOAD', { cause: error });
+      });
+      const stored = await storeReferenceImage(processedImage, profile);
+
+      // Untagged uploads that look like line drawings are tried as sketches;
+      // Claude confirms it, otherwise they are analyzed as ordinary photos.
+      const detectedSketch = !forceSketch && !requestedRole && await looksLikeSketch(processedImage.buffer);
+      let role = forceSketch || detectedSketch ? 'sketch' : roles[index];
+      console.log('Processing reference image:', file.originalname, role);
+
+      let { analysis, cached, degraded } = await getReferenceAnalysis(stored.hash, processedImage, role, { profile, refresh });
+      let sketchNotes = null;
+
+      if (role === 'sketch') {
+        sketchNotes = parseSketchNotes(analysis);
+        if (sketchNotes) {
+          analysis = describeSketch(sketchNotes);
+        } else if (detectedSketch) {
+          role = roles[index];
+          ({ analysis, cached, degraded } = await getReferenceAnalysis(stored.hash, processedImage, role, { profile, refresh }));
+        } else {
+          // A generic fallback is no basis for rendering a customer's drawing
+          throw new AppError(degraded ? 'ASSISTANT_UNAVAILABLE' : 'SKETCH_UNREADABLE');
+        }
+      }
+      
+      return {
+        reference: {
+          publicUrl: stored.publicUrl,
+          filename: stored.filename,
+          hash: stored.hash,
+          role,
+          analysis,
+          sketchNotes,
+          reusedUpload: stored.reused,
+          cachedAnalysis: cached,
+          degradedAnalysis: degraded
+        },
+        buffer: processedImage.buffer
+      };
+    }));
+
+    referenceImages.push(...analyzed.map(({ reference }) => reference));
+    const firstSketch = analyzed.find(({ reference }) => reference.sketchNotes);
+    if (firstSketch) {
+      sketch = { notes: firstSketch.reference.sketchNotes, image: firstSketch.buffer };
+    }
+    console.log('Reference images analyzed:', referenceImages.length, sketch ? '(sketch mode)' : '');
+  }
+
+  // Parts of the turn that fell back to a lesser result, reported to the client
+  const degraded = referenceImages
+    .map((reference, index) => reference.degradedAnalysis ? {
+      dependency: 'anthropic',
+      feature: 'reference_analysis',
+      message: `Reference image ${index + 1} could not be analyzed, so a generic description was used.`
+    } : null)
+    .filter(Boolean);
+
+  const referenceImageAnalysis = mergeReferenceAnalyses(referenceImages);
+
+  const history = await buildHistory(session);
+  if (history.degraded) {
+    degraded.push({
+      dependency: 'anthropic',
+      feature: 'history_summary',
+      message: 'Earlier messages could not be summarized, so only the current design was carried over from them.'
+    });
+  }
+
+  const systemPrompt = renderTemplate(profile.templates.chatSystem, {
+    ...brandTemplateVariables(profile),
+    referenceNotes: referenceImages
+      .map(({ role, analysis }, index) => `Reference ${index + 1} (use for ${role}): ${analysis}`)
+      .join('\n'),
+    sketchMode: !!sketch,
+    sketchUncertainties: sketch?.notes.uncertainties ? JSON.stringify(sketch.notes.uncertainties) : '',
+    designBrief: history.brief,
+    latestDesignSpec: session.designSpec ? JSON.stringify(session.designSpec) : '',
+    refinementMode: !!(isRefinementRequest && baseImage),
+    baseDesignSpec: baseImage?.designSpec ? JSON.stringify(baseImage.designSpec) : '',
+    refinementCount,
+    toolName: DESIGN_SPEC_TOOL.name,
+    languageName: getLanguageName(locale)
+  });
+
+  const userContent = isRefinementRequest 
+    ? `Please refine the current design: ${message}` 
+    : (message || 'Please create jewelry inspired by this reference image');
+  const claudeMessages = [
+    ...history.messages,
+    { role: 'user', content: userContent }
+  ];
+
+  const claudeRequest = {
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 1000,
+    system: systemPrompt.text,
+    messages: claudeMessages,
+    tools: [DESIGN_SPEC_TOOL]
+  };
+
+  // A stream is only retried until its first text has reached the client,
+  // otherwise the customer would see the reply twice.
+  let claudeResponse;
+  if (hooks.onText) {
+    let streamedText = false;
+    claudeResponse = await callDependency('anthropic', () => {
+      const claudeStream = getAnthropic().messages.stream(claudeRequest);
+      claudeStream.on('text', (text) => {
+        streamedText = true;
+        hooks.onText(text);
+      });
+      return claudeStream.finalMessage();
+    }, {
+      isRetryable: (error) => !streamedText && isTransientError(error)
+    });
+  } else {
+    claudeResponse = await callDependency('anthropic', () => getAnthropic().messages.create(claudeRequest));
+  }
+  
+  const { text: claudeMessage, rawSpec } = extractDesignSpec(claudeResponse.content);
+  
+  let imageResults = [];
+  let imageProvider = null;
+  let imageTemplate = null;
+  let variantGroup = null;
+  let validatedSpec = null;
+  
+  // Reference uploads and refinements always expect a render, so Claude must
+  // have produced a spec for them; otherwise a spec is what signals intent.
+  const requiresImage = referenceImages.length > 0 || isRefinementRequest;
+  
+  if (rawSpec || requiresImage) {
+    if (!rawSpec) {
+      console.error('Claude did not return a design specification');
+      throw new AppError('DESIGN_NOT_RETURNED', { details: { reply: claudeMessage } });
+    }
+
+    const validation = validateDesignSpec(rawSpec);
+    if (!validation.valid) {
+      console.error('Invalid design specification from Claude:', validation.errors);
+      throw new AppError('DESIGN_NOT_RETURNED', {
+        message: 'The assistant returned an incomplete design. Please describe the piece again.',
+        details: { validationErrors: validation.errors, reply: claudeMessage }
+      });
+    }
+
+    validatedSpec = validation.spec;
+    const prompt = composePromptFromSpec(validatedSpec);
+    hooks.onImageStarted?.({
+      variants: variantCount,
+      isRefinement: isRefinementRequest,
+      designSpec: validatedSpec
+    });
+    
+    // Counted before rendering so concurrent turns can't overshoot the quota
+    const reservation = await reserveImages(brandProfile, variantCount);
+    try {
+      let generation;
+      if (baseImage) {
+        console.log('Editing base image:', baseImage.filename);
+        generation = await editImage(prompt, {
+          baseImageBuffer: baseImage.buffer,
+          baseDesignSpec: baseImage.designSpec,
+          maskRegion: parsedMaskRegion,
+          variants: variantCount,
+          profile,
+          designSpec: validatedSpec,
+          experiments
+        });
+      } else {
+        console.log('Generating image');
+        generation = await generateImage(prompt, {
+          referenceImageAnalysis,
+          isRefinement: isRefinementRequest,
+          variants: variantCount,
+          profile,
+          designSpec: validatedSpec,
+          sketch,
+          experiments
+        });
+      }
+      imageResults = generation.images;
+      imageProvider = generation.provider;
+      imageTemplate = generation.template;
+      if (imageProvider.fallbackFrom) {
+        degraded.push({
+          dependency: imageProvider.fallbackFrom,
+          feature: 'image_generation',
+          message: `Rendered with ${imageProvider.name} because ${imageProvider.fallbackFrom} was unavailable.`
+        });
+      }
+
+      if (imageResults.length > 1) {
+        variantGroup = await saveVariantGroup(imageResults, profile, validatedSpec);
+      }
+      imageResults.forEach(({ publicUrl, filename }, variantIndex) => {
+        hooks.onImageReady?.({ publicUrl, filename, variantIndex, variantGroupId: variantGroup?.id || null });
+      });
+      console.log('Image generated successfully with provider:', imageProvider.name);
+                     
+    } catch (imageError) {
+      console.error('Image generation failed:', imageError);
+      await releaseImages(reservation);
+      throw imageError;
+    }
+  }
+  
+  const imageResult = imageResults[0] || null;
+  const newRefinementCount = refinementCount + (isRefinementRequest ? 1 : 0);
+
+  await updateSession(sessionId, current => recordTurn(current, {
+    userContent,
+    // Claude rejects empty assistant turns, which a tool-only reply would leave
+    assistantContent: claudeMessage || 'Here is the updated design.',
+    images: imageResults,
+    references: referenceImages,
+    designSpec: validatedSpec,
+    parent: baseImage ? baseImage.filename : null,
+    variantGroupId: variantGroup?.id || null,
+    isRefinement: isRefinementRequest,
+    locale,
+    summary: history.changed ? history.summary : null
+  }));
+  
+  return {
+    message: claudeMessage,
+    imageUrl: imageResult?.dataUrl || null,
+    publicUrl: imageResult?.publicUrl || null,
+    downloadUrl: imageResult?.dataUrl || null,
+    conversationId: sessionId,
+    sessionId,
+    locale,
+    experiments,
+    degraded,
+    historySummary: history.summary,
+    referenceImage: referenceImages,
+    variants: imageResults,
+    variantGroupId: variantGroup?.id || null,
+    designSpec: validatedSpec,
+    sketchNotes: sketch ? sketch.notes : null,
+    contentType: 'image',
+    isRefinement: isRefinementRequest,
+    refinementCount: newRefinementCount,
+    metadata: imageResult ? {
+      filename: imageResult.filename,
+      type: 'image/png',
+      downloadable: true,
+      publicUrl: imageResult.publicUrl,
+      referenceImage: referenceImages,
+      isVideo: false,
+      isRefinement: isRefinementRequest,
+      refinementCount: newRefinementCount,
+      derivedFrom: baseImage ? {
+        filename: baseImage.filename,
+        publicUrl: baseImage.publicUrl,
+        maskRegion: parsedMaskRegion
+      } : null,
+      designSpec: validatedSpec,
+      provider: imageProvider,
+      promptTemplates: {
+        chatSystem: templateRef(systemPrompt),
+        image: templateRef(imageTemplate)
+      },
+      experiments,
+      locale,
+      sketchNotes: sketch ? sketch.notes : null,
+      renditions: imageResult.renditions,
+      missingRenditions: imageResult.missingRenditions,
+      variantCount: imageResults.length,
+      variantGroupId: variantGroup?.id || null,
+      brand: {
+        id: profile.id,
+        version: profile.version,
+        requested: requestedBrand,
+        fallback: brandFallback
+      }
+    } : null
+  };
+}
+
+// Job results are kept in the bucket, so embedded image data is swapped for
+// the stored public URLs to keep the record small.
+function toStoredJobResult(payload) {
+  return {
+    ...payload,
+    imageUrl: payload.publicUrl,
+    downloadUrl: payload.publicUrl,
+    variants: payload.variants.map(({ publicUrl, filename, renditions, missingRenditions }) => ({
+      publicUrl, filename, renditions, missingRenditions
+    }))
+  };
+}
+
+async function runChatJob(job, body, referenceUploads, turnContext) {
+  try {
+    job.status = 'running';
+    await saveJob(job);
+
+    const payload = await runChatTurn(body, referenceUploads, turnContext);
+
+    job.status = 'succeeded';
+    job.result = toStoredJobResult(payload);
+    await saveJob(job);
+  } catch (error) {
+    console.error(`Chat job ${job.id} failed:`, error);
+
+    job.status = 'failed';
+    job.error = toErrorBody(error, job.requestId);
+    await saveJob(job);
+  }
+}
+
+// The legacy single `referenceImage` upload (role in `referenceRole`) comes
+// first, followed by `referenceImages` whose roles are listed in `referenceRoles`.
+function collectReferenceUploads(uploaded = {}, body) {
+  const single = (uploaded.referenceImage || []).map(file => ({ file, role: body.referenceRole }));
+  const roles = parseRoleList(body.referenceRoles);
+  const multiple = (uploaded.referenceImages || []).map((file, index) => ({ file, role: roles[index] }));
+
+  return [...single, ...multiple].slice(0, MAX_REFERENCE_IMAGES);
+}
+
+// Continuing a session requires it to exist and belong to the same brand
+async function loadExistingSession(sessionId, profile) {
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = await loadSession(sessionId);
+  if (!session) {
+    throw new AppError('NOT_FOUND', { message: 'This design session could not be found. Please start a new design.' });
+  }
+  if (session.brand !== profile.id) {
+    throw new AppError('INVALID_REQUEST', { message: 'This design session belongs to a different retailer.' });
+  }
+  return session;
+}
+
+// New sessions are saved straight away so the id handed out (also by an
+// async job's 202) can be fetched before the first turn finishes.
+async function startSession(profile, locale = null) {
+  return saveSession(createSessionRecord(profile.id, locale));
 }
 
 module.exports = async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  setCorsHeaders(req, res, 'POST, OPTIONS');
+  res.setHeader('X-Request-Id', getRequestId(req));
   
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
   
   if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+    return sendError(req, res, new AppError('METHOD_NOT_ALLOWED'), 'Chat');
   }
   
   try {
+    // Checked before the upload is read so rejected callers cost nothing
+    const access = await authorizeRequest(req, res, 'chat');
+    await enforceRateLimit('chat:ip', clientIp(req));
+
     await new Promise((resolve, reject) => {
-      upload.single('referenceImage')(req, res, (err) => {
+      upload.fields([
+        { name: 'referenceImage', maxCount: 1 },
+        { name: 'referenceImages', maxCount: MAX_REFERENCE_IMAGES }
+      ])(req, res, (err) => {
         err ? reject(err) : resolve();
       });
     });
 
     const { 
-      message, 
-      conversationHistory = [], 
-      isRefinement = 'false', 
-      baseImageData, 
-      refinementCount = '0',
-      brand = 'default' // NEW: Get brand from request
+      brand = 'default',
+      action = 'chat',
+      variantGroupId,
+      variantIndex,
+      designDescription,
+      designSpec,
+      seed,
+      stream,
+      async: runAsync,
+      sessionId: requestedSessionId
     } = req.body;
-    
-    let parsedHistory = [];
-    try {
-      parsedHistory = typeof conversationHistory === 'string' 
-        ? JSON.parse(conversationHistory) 
-        : Array.isArray(conversationHistory) ? conversationHistory : [];
-    } catch (e) {
-      console.log('Using empty conversation history due to parse error');
+
+    // A key's brand always wins over the one in the body
+    const { profile, requested: requestedBrand, fallback: brandFallback } = resolveBrandProfile(access.brand || brand);
+    if (!profile) {
+      throw new AppError('UNKNOWN_BRAND', { details: { brand: requestedBrand } });
+    }
+    if (requestedSessionId) {
+      await enforceRateLimit('chat:session', requestedSessionId);
     }
 
-    const isRefinementRequest = isRefinement === 'true';
-    let baseImageInfo = null;
-    if (isRefinementRequest && baseImageData) {
-      try {
-        baseImageInfo = JSON.parse(baseImageData);
-      } catch (e) {
-        console.error('Could not parse base image data:', e);
+    if (action === 'select_variant') {
+      const index = parseInt(variantIndex, 10);
+      if (!variantGroupId || Number.isNaN(index)) {
+        throw new AppError('INVALID_REQUEST', { message: 'variantGroupId and variantIndex are required.' });
       }
-    }
 
-    console.log('Processing request:', {
-      isRefinement: isRefinementRequest,
-      hasBaseImage: !!baseImageInfo,
-      refinementCount,
-      messageLength: message?.length || 0,
-      brand // NEW: Log brand
-    });
-    
-    let referenceImageData = null;
-    let referenceImageAnalysis = '';
-    
-    if (req.file) {
-      console.log('Processing reference image:', req.file.originalname);
-      
-      try {
-        const processedImage = await processReferenceImage(req.file.buffer);
-        const referenceFilename = `reference-${Date.now()}.jpg`;
-        const referencePublicUrl = await uploadImageToStorage(
-          processedImage.buffer, 
-          referenceFilename, 
-          'image/jpeg'
-        );
-        
-        referenceImageAnalysis = await analyzeImageWithClaude(processedImage.base64);
-        console.log('Reference image analyzed');
-        
-        referenceImageData = {
-          publicUrl: referencePublicUrl,
-          filename: referenceFilename,
-          analysis: referenceImageAnalysis
-        };
-      } catch (imageError) {
-        console.error('Error processing reference image:', imageError);
-        return res.status(400).json({ 
-          error: 'Failed to process reference image',
-          message: imageError.message 
-        });
+      const group = await selectVariant(variantGroupId, index, profile);
+      if (!group) {
+        throw new AppError('NOT_FOUND', { message: 'That design variant could not be found.' });
+      }
+
+      const selected = group.variants[index];
+      // The pick becomes the session's base for the next refinement
+      if (await loadExistingSession(requestedSessionId, profile)) {
+        await updateSession(requestedSessionId, session => selectCurrentImage(session, selected));
       }
+
+      return res.status(200).json({
+        success: true,
+        variantGroupId: group.id,
+        selectedIndex: index,
+        selected,
+        baseImageData: { metadata: selected, variantGroupId: group.id }
+      });
     }
 
-    let systemPrompt = `You are a jewelry designer assistant. Keep responses brief and focused (2-3 sentences max). A retailer is asking you to create a catalog image of jewelry based on a consumer request.
+    if (action === 'remix') {
+      const { shareId } = req.body;
+      if (!shareId) {
+        throw new AppError('INVALID_REQUEST', { message: 'shareId is required to remix a design.' });
+      }
 
-${referenceImageData ? `Reference image shows: ${referenceImageAnalysis}\n\nCreate a design inspired by this reference.` : ''}`;
+      // Password guesses are limited per IP, as on /api/share
+      const password = req.headers['x-share-password'];
+      if (password) {
+        await enforceRateLimit('share-unlock:ip', clientIp(req));
+      }
 
-    if (isRefinementRequest && baseImageInfo) {
-      systemPrompt += `\n\nREFINEMENT MODE: You are refining an existing jewelry design. The user wants to modify the current design.
-Previous design: The user is working with an existing jewelry piece and wants modifications.
-This is refinement #${refinementCount}.
+      const share = await openShare(shareId, { brand: access.brand, password });
+      if (share.brand && share.brand !== profile.id) {
+        throw new AppError('INVALID_REQUEST', { message: 'This shared design belongs to a different retailer.' });
+      }
 
-Focus on the specific changes requested while maintaining the overall jewelry aesthetic.`;
+      const session = await remixShare(share, profile);
+      return res.status(200).json({
+        success: true,
+        sessionId: session.id,
+        remixedFrom: session.remixedFrom,
+        locale: session.locale,
+        conversationHistory: session.turns.map(({ role, content }) => ({ role, content })),
+        designSpec: session.designSpec,
+        currentImage: session.currentImage,
+        refinementCount: session.refinementCount,
+        baseImageData: session.currentImage ? { metadata: session.currentImage } : null
+      });
     }
 
-    systemPrompt += `\n\nIMPORTANT FORMATTING:
-- Keep responses concise and professional
-- Use **bold** for emphasis on key details
-- Always end with: GENERATE_IMAGE: [jewelry type and key details only]
+    if (action === 'view_pack') {
+      let viewPackSpec = null;
+      if (designSpec) {
+        let rawSpec;
+        try {
+          rawSpec = typeof designSpec === 'string' ? JSON.parse(designSpec) : designSpec;
+        } catch (e) {
+          throw new AppError('INVALID_DESIGN_SPEC', { details: { validationErrors: ['designSpec must be valid JSON'] } });
+        }
 
-For non-jewelry questions, simply say "I can only create jewelry images. What piece would you like me to design?"
-
-The GENERATE_IMAGE description should be brief: just the jewelry type, main materials, and key visual features (e.g., "diamond solitaire engagement ring, platinum band, round brilliant cut").`;
+        const validation = validateDesignSpec(rawSpec);
+        if (!validation.valid) {
+          throw new AppError('INVALID_DESIGN_SPEC', { details: { validationErrors: validation.errors } });
+        }
+        viewPackSpec = validation.spec;
+      }
 
-    const claudeMessages = [
-      ...parsedHistory.filter(msg => msg.role !== 'system'),
-      { 
-        role: 'user', 
-        content: isRefinementRequest 
-          ? `Please refine the current design: ${message}` 
-          : (message || 'Please create jewelry inspired by this reference image')
+      const viewPackDescription = viewPackSpec ? composePromptFromSpec(viewPackSpec) : designDescription?.trim();
+      if (!viewPackDescription) {
+        throw new AppError('INVALID_REQUEST', { message: 'designSpec or designDescription is required for a view pack.' });
       }
-    ];
 
-    const claudeResponse = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      system: systemPrompt,
-      messages: claudeMessages
-    });
-    
-    const claudeMessage = claudeResponse.content[0].text;
-    
-    let imageResult = null;
-    
-    const isJewelryRequest = (
-      /\b(ring|jewelry|diamond|necklace|bracelet|earring|pendant|engagement|wedding|generate|create|image)\b/i.test(message) ||
-      claudeMessage.includes('GENERATE_IMAGE:') ||
-      referenceImageData || 
-      isRefinementRequest
-    );
-    
-    if (isJewelryRequest) {
-      let prompt;
-      
-      if (claudeMessage.includes('GENERATE_IMAGE:')) {
-        prompt = claudeMessage.split('GENERATE_IMAGE:')[1].trim();
-      } else {
-        prompt = `${message.replace(/generate|create|image|of|an?/gi, '').trim()}, professional jewelry photography style`;
+      const parsedSeed = seed === undefined || seed === '' ? undefined : parseInt(seed, 10);
+      if (Number.isNaN(parsedSeed)) {
+        throw new AppError('INVALID_REQUEST', { message: 'seed must be an integer.' });
       }
-      
-      const baseImageDescription = isRefinementRequest && baseImageInfo?.metadata 
-        ? 'elegant jewelry piece (previous design)' 
-        : '';
-      
+
+      const session = await loadExistingSession(requestedSessionId, profile) || await startSession(profile);
+      const sessionId = session.id;
+      const experiments = assignExperiments(sessionId, profile.id);
+      const reservation = await reserveImages(profile, VIEW_PACK_ANGLES.length);
+      let viewPack;
       try {
-        console.log('Generating image with Vertex AI');
-        imageResult = await generateImageWithVertex(
-          prompt, 
-          referenceImageAnalysis, 
-          isRefinementRequest, 
-          baseImageDescription
-        );
-        console.log('Image generated successfully');
-                       
-      } catch (imageError) {
-        console.error('Vertex AI image generation failed:', imageError);
-        throw imageError;
+        viewPack = await generateViewPack(viewPackDescription, {
+          profile: applyExperiments(profile, experiments),
+          designSpec: viewPackSpec,
+          seed: parsedSeed,
+          experiments
+        });
+      } catch (viewPackError) {
+        await releaseImages(reservation);
+        throw viewPackError;
       }
+      await updateSession(sessionId, current => recordImages(current, viewPack.views, { designSpec: viewPackSpec }));
+      return res.status(200).json({
+        success: true,
+        designId: viewPack.designId,
+        designSpec: viewPackSpec,
+        seed: viewPack.seed,
+        sessionId,
+        views: viewPack.views,
+        metadata: {
+          type: 'image/png',
+          downloadable: true,
+          brand: { id: profile.id, version: profile.version },
+          experiments
+        }
+      });
     }
-    
-    const cleanMessage = claudeMessage.replace(/GENERATE_IMAGE:.*$/m, '').trim();
-    const newRefinementCount = parseInt(refinementCount) + (isRefinementRequest ? 1 : 0);
-    
-    res.status(200).json({
-      message: cleanMessage,
-      imageUrl: imageResult?.dataUrl || null,
-      publicUrl: imageResult?.publicUrl || null,
-      downloadUrl: imageResult?.dataUrl || null,
-      conversationId: Date.now(),
-      referenceImage: referenceImageData,
-      contentType: 'image',
-      isRefinement: isRefinementRequest,
-      refinementCount: newRefinementCount,
-      metadata: imageResult ? {
-        filename: imageResult.filename,
-        type: 'image/png',
-        downloadable: true,
-        publicUrl: imageResult.publicUrl,
-        referenceImage: referenceImageData,
-        isVideo: false,
-        isRefinement: isRefinementRequest,
-        refinementCount: newRefinementCount
-      } : null
+
+    const wantsStream = (req.headers.accept || '').includes('text/event-stream') || stream === 'true';
+    const existingSession = await loadExistingSession(requestedSessionId, profile);
+    // The session remembers the conversation's locale so short follow-ups
+    // like "ok" don't fall back to the browser language.
+    const resolvedLocale = resolveLocale({
+      requested: req.body.locale || existingSession?.locale,
+      text: req.body.message,
+      acceptLanguage: req.headers['accept-language']
     });
+    if (!resolvedLocale) {
+      throw new AppError('UNSUPPORTED_LOCALE', { details: { locale: req.body.locale, supportedLocales: listLocales() } });
+    }
+
+    const turnContext = {
+      profile,
+      requested: requestedBrand,
+      fallback: brandFallback,
+      locale: resolvedLocale.locale,
+      session: existingSession || await startSession(profile, resolvedLocale.locale)
+    };
+    const referenceUploads = collectReferenceUploads(req.files, req.body);
+
+    if (runAsync === 'true' || runAsync === true) {
+      const job = createJobRecord(profile.id, getRequestId(req));
+      await saveJob(job);
+
+      res.status(202).json({
+        jobId: job.id,
+        sessionId: turnContext.session.id,
+        status: job.status,
+        statusUrl: `/api/jobs?id=${job.id}`
+      });
+
+      // waitUntil keeps the invocation alive after the 202 (up to the
+      // function's maxDuration) until the job is done; /api/jobs reports it
+      // from the bucket meanwhile.
+      waitUntil(runChatJob(job, req.body, referenceUploads, turnContext));
+      return;
+    }
+
+    if (!wantsStream) {
+      const payload = await runChatTurn(req.body, referenceUploads, turnContext);
+      return res.status(200).json(payload);
+    }
+
+    const sendEvent = openEventStream(res);
+    try {
+      const payload = await runChatTurn(req.body, referenceUploads, turnContext, {
+        onText: (text) => sendEvent('text', { text }),
+        onImageStarted: (info) => sendEvent('image_started', info),
+        onImageReady: (image) => sendEvent('image_ready', image)
+      });
+      sendEvent('done', payload);
+    } catch (streamError) {
+      const body = toErrorBody(streamError, getRequestId(req));
+      console.error(`Streaming chat error [${body.requestId}] ${body.code}:`, streamError);
+      sendEvent('error', body);
+    }
+    res.end();
     
   } catch (error) {
-    console.error('API Error:', error);
-    res.status(500).json({ 
-      error: 'API Error',
-      message: error.message,
-      details: {
-        type: error.constructor.name,
-        hasAnthropicKey: !!process.env.ANTHROPIC_API_KEY,
-        hasGoogleCredentials: !!process.env.GOOGLE_SERVICE_ACCOUNT_KEY,
-        hasGoogleProjectId: !!process.env.GOOGLE_CLOUD_PROJECT_ID,
-        hasStorageBucket: !!process.env.GOOGLE_STORAGE_BUCKET
-      }
-    });
+    sendError(req, res, error, 'Chat');
   }
 };
@@ -1,8 +1,8 @@
 // api/create-hubspot-contact.js - Fixed to prevent double counting
-const hubspot = require('@hubspot/api-client');
-const hubspotClient = new hubspot.Client({
-  accessToken: process.env.HUBSPOT_ACCESS_TOKEN
-});
+const { AppError, getRequestId, sendError } = require('../lib/errors');
+const { getHubSpot } = require('../lib/services');
+const { setCorsHeaders, authorizeRequest } = require('../lib/api-keys');
+const { clientIp, enforceRateLimit } = require('../lib/rate-limit');
 
 function validateSessionData(sessionData, conversionTrigger) {
   console.log('Validating session data for trigger:', conversionTrigger);
@@ -21,29 +21,38 @@ function validateSessionData(sessionData, conversionTrigger) {
 }
 
 module.exports = async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', 'https://www.gjsusa.com');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  setCorsHeaders(req, res, 'POST, OPTIONS');
+  res.setHeader('X-Request-Id', getRequestId(req));
   
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
   
   if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+    return sendError(req, res, new AppError('METHOD_NOT_ALLOWED'), 'HubSpot');
   }
 
   try {
+    const access = await authorizeRequest(req, res, 'crm');
+    await enforceRateLimit('crm:ip', clientIp(req));
+
     const { 
       email, 
       sessionData: rawSessionData, 
       conversationHistory, 
       conversionTrigger, 
-      imageUrl, 
-      actionDetails 
+      imageUrl
     } = req.body;
+    // Contacts are tagged with the key's brand, not the one the page claims
+    const actionDetails = access.brand
+      ? { ...req.body.actionDetails, brand: access.brand }
+      : req.body.actionDetails;
+
+    if (!email) {
+      throw new AppError('INVALID_REQUEST', { message: 'email is required.' });
+    }
     
-    const sessionData = validateSessionData(rawSessionData, conversionTrigger);
+    const sessionData = validateSessionData(rawSessionData || {}, conversionTrigger);
     
     console.log('Processing contact for email:', email);
     console.log('Conversion trigger:', conversionTrigger);
@@ -53,7 +62,7 @@ module.exports = async function handler(req, res) {
     let contactId = null;
     
     try {
-      const searchResults = await hubspotClient.crm.contacts.searchApi.doSearch({
+      const searchResults = await getHubSpot().crm.contacts.searchApi.doSearch({
         filterGroups: [{
           filters: [{
             propertyName: 'email',
@@ -118,13 +127,13 @@ module.exports = async function handler(req, res) {
     
     if (contactId) {
       console.log('Updating existing contact...');
-      response = await hubspotClient.crm.contacts.basicApi.update(contactId, {
+      response = await getHubSpot().crm.contacts.basicApi.update(contactId, {
         properties: contactProperties
       });
       console.log('HubSpot update response received');
     } else {
       console.log('Creating new contact...');
-      response = await hubspotClient.crm.contacts.basicApi.create({
+      response = await getHubSpot().crm.contacts.basicApi.create({
         properties: contactProperties,
         associations: []
       });
@@ -144,14 +153,9 @@ module.exports = async function handler(req, res) {
     });
     
   } catch (error) {
-    console.error('HubSpot API Error:', error);
-    console.error('Error message:', error.message);
+    // HubSpot's response body can include portal details, so it is only logged
     console.error('Error response data:', error.response?.data);
-    
-    res.status(500).json({ 
-      error: error.message,
-      details: error.response?.data || 'No additional details'
-    });
+    sendError(req, res, error instanceof AppError ? error : new AppError('CRM_ERROR', { cause: error }), 'HubSpot');
   }
 };
 
@@ -275,7 +279,7 @@ async function createImageActionNote(contactId, actionType, imageUrl, actionDeta
       hubspot_owner_id: null
     };
     
-    await hubspotClient.crm.objects.notes.basicApi.create({
+    await getHubSpot().crm.objects.notes.basicApi.create({
       properties: noteProperties,
       associations: [
         {
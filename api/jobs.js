@@ -0,0 +1,50 @@
+// api/jobs.js - Status endpoint for asynchronous generation jobs
+const { isValidJobId, loadJob } = require('../lib/jobs');
+const { AppError, getRequestId, sendError } = require('../lib/errors');
+const { setCorsHeaders, authorizeRequest, visibleToBrand } = require('../lib/api-keys');
+
+module.exports = async function handler(req, res) {
+  setCorsHeaders(req, res, 'GET, OPTIONS');
+  res.setHeader('X-Request-Id', getRequestId(req));
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return sendError(req, res, new AppError('METHOD_NOT_ALLOWED'), 'Jobs');
+  }
+
+  try {
+    const access = await authorizeRequest(req, res, 'chat');
+    const { id } = req.query;
+
+    if (!isValidJobId(id)) {
+      throw new AppError('INVALID_REQUEST', { message: 'Valid job ID required.' });
+    }
+
+    const job = await loadJob(id);
+
+    if (!visibleToBrand(job, access.brand)) {
+      throw new AppError('NOT_FOUND', { message: 'Job not found.' });
+    }
+
+    // Pending jobs should be polled again shortly
+    if (job.status === 'queued' || job.status === 'running') {
+      res.setHeader('Retry-After', '2');
+    }
+
+    res.status(200).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      result: job.result,
+      error: job.error
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Jobs');
+  }
+};
@@ -0,0 +1,92 @@
+// api/sessions.js - Fetch, list and delete design sessions
+//
+// A session id works like a password for its session, so sessions are only
+// listed by the ids the client already holds; there is no way to enumerate
+// other customers' sessions.
+const {
+  isValidSessionId,
+  loadSession,
+  deleteSession,
+  getImageLineage,
+  summarizeSession
+} = require('../lib/sessions');
+const { AppError, getRequestId, sendError } = require('../lib/errors');
+const { setCorsHeaders, authorizeRequest, visibleToBrand } = require('../lib/api-keys');
+
+const MAX_LISTED_SESSIONS = 50;
+
+function parseSessionIds(value) {
+  const ids = [].concat(value || [])
+    .flatMap(entry => String(entry).split(','))
+    .map(id => id.trim())
+    .filter(Boolean);
+  return [...new Set(ids)];
+}
+
+module.exports = async function handler(req, res) {
+  setCorsHeaders(req, res, 'GET, DELETE, OPTIONS');
+  res.setHeader('X-Request-Id', getRequestId(req));
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const access = await authorizeRequest(req, res, 'chat');
+    const { id, ids } = req.query;
+
+    if (req.method === 'GET' && id) {
+      if (!isValidSessionId(id)) {
+        throw new AppError('INVALID_REQUEST', { message: 'Valid session ID required.' });
+      }
+
+      const session = await loadSession(id);
+      if (!visibleToBrand(session, access.brand)) {
+        throw new AppError('NOT_FOUND', { message: 'This design session could not be found.' });
+      }
+
+      res.status(200).json({
+        success: true,
+        session,
+        lineage: session.currentImage ? getImageLineage(session, session.currentImage.filename) : []
+      });
+
+    } else if (req.method === 'GET') {
+      const sessionIds = parseSessionIds(ids);
+      if (sessionIds.length === 0 || sessionIds.length > MAX_LISTED_SESSIONS || !sessionIds.every(isValidSessionId)) {
+        throw new AppError('INVALID_REQUEST', {
+          message: `Pass up to ${MAX_LISTED_SESSIONS} valid session IDs in ids.`
+        });
+      }
+
+      // Deleted or unknown ids are simply left out
+      const sessions = await Promise.all(sessionIds.map(loadSession));
+      res.status(200).json({
+        success: true,
+        sessions: sessions
+          .filter(session => visibleToBrand(session, access.brand))
+          .map(summarizeSession)
+          .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      });
+
+    } else if (req.method === 'DELETE') {
+      if (!isValidSessionId(id)) {
+        throw new AppError('INVALID_REQUEST', { message: 'Valid session ID required.' });
+      }
+
+      // Images stay in storage since shares and variant groups may still use them
+      const deleted = visibleToBrand(await loadSession(id), access.brand) && await deleteSession(id);
+      if (!deleted) {
+        throw new AppError('NOT_FOUND', { message: 'This design session could not be found.' });
+      }
+
+      res.status(200).json({ success: true, sessionId: id, deleted: true });
+
+    } else {
+      throw new AppError('METHOD_NOT_ALLOWED');
+    }
+
+  } catch (error) {
+    sendError(req, res, error, 'Sessions');
+  }
+};
@@ -0,0 +1,61 @@
+// api/share-page.js - Server-rendered page behind every share link
+//
+// GET ?id=<shareId> returns HTML with OpenGraph/Twitter tags for link
+// previews, then forwards people to the brand's share URL. Crawlers carry
+// no API key, so this page is public; password-protected shares only get a
+// generic preview. Visits here are not counted as views: crawlers fetch the
+// page too, and people are counted when the app loads the share.
+const { loadShare, isShareExpired } = require('../lib/shares');
+const {
+  shareUrls,
+  ensureSharePreview,
+  renderSharePage,
+  renderUnavailablePage
+} = require('../lib/share-preview');
+const { getRequestId, toErrorBody } = require('../lib/errors');
+
+function sendHtml(res, status, html, cacheSeconds = 0) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', cacheSeconds ? `public, max-age=${cacheSeconds}` : 'no-store');
+  return res.status(status).send(html);
+}
+
+module.exports = async function handler(req, res) {
+  const requestId = getRequestId(req);
+  res.setHeader('X-Request-Id', requestId);
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return sendHtml(res, 405, renderUnavailablePage('This page only supports GET.'));
+  }
+
+  try {
+    const share = await loadShare(req.query.id);
+
+    if (!share) {
+      return sendHtml(res, 404, renderUnavailablePage('This shared design could not be found.'));
+    }
+    if (share.revokedAt) {
+      return sendHtml(res, 410, renderUnavailablePage('This shared design was removed by its creator.'));
+    }
+    if (isShareExpired(share)) {
+      return sendHtml(res, 410, renderUnavailablePage('This shared design has expired.'));
+    }
+
+    // A missing collage only costs the preview its image
+    let previewUrl = null;
+    try {
+      previewUrl = await ensureSharePreview(share);
+    } catch (error) {
+      console.error(`Share preview for ${share.id} failed:`, error.message);
+    }
+
+    const html = renderSharePage(share, { ...shareUrls(share, req), previewUrl });
+    return sendHtml(res, 200, html, 300);
+
+  } catch (error) {
+    const body = toErrorBody(error, requestId);
+    console.error(`Share page error [${requestId}] ${body.code}:`, error);
+    return sendHtml(res, body.status, renderUnavailablePage(body.message));
+  }
+};
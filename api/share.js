@@ -1,149 +1,149 @@
 // api/share.js - Share conversation endpoint
-const { Storage } = require('@google-cloud/storage');
+//
+//   POST   create a link: conversationHistory, title, locale, plus optional
+//          expiresInDays (days or 'never'), password and remixable
+//   GET    ?shareId= read a link; protected links need X-Share-Password
+//   DELETE ?shareId= take a link down with the deleteToken from POST
+//
+// Remixable shares are forked into new sessions by /api/chat's 'remix'
+// action; GET reports how often that happened in remixCount.
+const { DEFAULT_LOCALE, normalizeLocale, detectLocale } = require('../lib/locales');
+const { getBrandProfile } = require('../lib/brands');
+const {
+  normalizeShareMessages,
+  normalizeTitle,
+  createShare,
+  loadShareForBrand,
+  openShare,
+  recordShareView,
+  revokeShare,
+  describeShare
+} = require('../lib/shares');
+const { shareUrls, ensureSharePreview } = require('../lib/share-preview');
+const { AppError, getRequestId, sendError } = require('../lib/errors');
+const { setCorsHeaders, authorizeRequest } = require('../lib/api-keys');
+const { clientIp, enforceRateLimit } = require('../lib/rate-limit');
 
-// Initialize Google Cloud Storage (reuse your existing config from chat.js)
-const keyJson = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
-keyJson.private_key = keyJson.private_key.replace(/\\n/g, "\n");
+// Prefer the locale the client was given by /api/chat, then the latest
+// locale recorded on a message, then whatever the customer wrote in.
+function resolveShareLocale(requestedLocale, messages) {
+  const recorded = [...messages].reverse().find(msg => msg.metadata?.locale);
+  const customerText = messages
+    .filter(msg => msg.role === 'user' && typeof msg.content === 'string')
+    .map(msg => msg.content)
+    .join(' ');
 
-const storage = new Storage({
-  credentials: keyJson,
-  projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-});
-
-const bucketName = process.env.GOOGLE_STORAGE_BUCKET || 'jewelry-designs-bucket';
-
-// Generate a unique share ID
-function generateShareId() {
-  return 'share_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-}
-
-// Save conversation to Google Cloud Storage
-async function saveSharedConversation(shareId, conversationData) {
-  try {
-    const bucket = storage.bucket(bucketName);
-    const fileName = `shared-conversations/${shareId}.json`;
-    const file = bucket.file(fileName);
-    
-    const conversationJson = JSON.stringify(conversationData, null, 2);
-    
-    await file.save(conversationJson, {
-      metadata: {
-        contentType: 'application/json',
-      }
-    });
-    
-    return fileName;
-  } catch (error) {
-    console.error('Error saving shared conversation:', error);
-    throw error;
-  }
-}
-
-// Retrieve shared conversation from Google Cloud Storage
-async function getSharedConversation(shareId) {
-  try {
-    const bucket = storage.bucket(bucketName);
-    const fileName = `shared-conversations/${shareId}.json`;
-    const file = bucket.file(fileName);
-    
-    const [exists] = await file.exists();
-    if (!exists) {
-      return null;
-    }
-    
-    const [contents] = await file.download();
-    return JSON.parse(contents.toString());
-  } catch (error) {
-    console.error('Error retrieving shared conversation:', error);
-    return null;
-  }
+  return normalizeLocale(requestedLocale)
+    || normalizeLocale(recorded?.metadata.locale)
+    || detectLocale(customerText)
+    || DEFAULT_LOCALE;
 }
 
 module.exports = async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
+  setCorsHeaders(req, res, 'POST, GET, DELETE, OPTIONS');
+  res.setHeader('X-Request-Id', getRequestId(req));
+
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
-  
+
   try {
+    const access = await authorizeRequest(req, res, 'share');
+
     if (req.method === 'POST') {
+      await enforceRateLimit('share:ip', clientIp(req));
+
       // Create shared conversation
-      const { conversationHistory, title } = req.body;
-      
-      if (!conversationHistory || !Array.isArray(conversationHistory)) {
-        return res.status(400).json({ error: 'Invalid conversation history' });
+      const { conversationHistory, title, locale, brand, expiresInDays, password, remixable } = req.body;
+
+      const shareBrand = access.brand || (getBrandProfile(brand) ? brand : null);
+
+      // Embedded images are moved into the bucket under the brand's prefix
+      const { messages, images } = await normalizeShareMessages(conversationHistory, {
+        storagePrefix: getBrandProfile(shareBrand)?.storagePrefix || ''
+      });
+
+      const { share, deleteToken } = await createShare({
+        title: normalizeTitle(title),
+        messages,
+        locale: resolveShareLocale(locale, messages)
+      }, {
+        brand: shareBrand,
+        expiresInDays,
+        password,
+        remixable,
+        images
+      });
+
+      // The collage is retried by the share page if it fails here
+      let previewUrl = null;
+      try {
+        previewUrl = await ensureSharePreview(share);
+      } catch (error) {
+        console.error(`Share preview for ${share.id} failed:`, error.message);
       }
-      
-      // Filter out system messages and format for sharing
-      const shareableHistory = conversationHistory.map(msg => ({
-        role: msg.role,
-        content: msg.content,
-        timestamp: msg.timestamp || new Date().toISOString(),
-        imageUrl: msg.imageUrl || null,
-        metadata: msg.metadata || null
-      }));
-      
-      const shareId = generateShareId();
-      const conversationData = {
-        id: shareId,
-        title: title || 'Jewelry Design Conversation',
-        messages: shareableHistory,
-        createdAt: new Date().toISOString(),
-        expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() // 30 days
-      };
-      
-      await saveSharedConversation(shareId, conversationData);
-      
-      const shareUrl = `https://www.gjsusa.com/home?share=${shareId}`;
-      
+
+      const { shareUrl, appUrl } = shareUrls(share, req);
+
+      // The delete token is only ever returned here
       res.status(200).json({
         success: true,
-        shareId,
+        shareId: share.id,
         shareUrl,
-        expiresAt: conversationData.expiresAt
+        appUrl,
+        previewUrl,
+        locale: share.locale,
+        expiresAt: share.expiresAt,
+        remixable: share.remixable,
+        passwordProtected: Boolean(share.passwordHash),
+        deleteToken
       });
-      
+
     } else if (req.method === 'GET') {
       // Retrieve shared conversation
       const { shareId } = req.query;
-      
+
       if (!shareId) {
-        return res.status(400).json({ error: 'Share ID required' });
+        throw new AppError('INVALID_REQUEST', { message: 'Share ID required.' });
       }
-      
-      const conversationData = await getSharedConversation(shareId);
-      
-      if (!conversationData) {
-        return res.status(404).json({ error: 'Shared conversation not found or expired' });
+
+      // Password guesses are limited per IP
+      const password = req.headers['x-share-password'];
+      if (password) {
+        await enforceRateLimit('share-unlock:ip', clientIp(req));
       }
-      
-      // Check if conversation has expired
-      if (new Date() > new Date(conversationData.expiresAt)) {
-        return res.status(410).json({ error: 'Shared conversation has expired' });
+
+      const share = await openShare(shareId, { brand: access.brand, password });
+      const viewed = await recordShareView(share.id);
+
+      res.status(200).json({
+        success: true,
+        conversation: describeShare(viewed || share)
+      });
+
+    } else if (req.method === 'DELETE') {
+      const { shareId } = req.query;
+      const deleteToken = req.body?.deleteToken;
+
+      if (!shareId || !deleteToken) {
+        throw new AppError('INVALID_REQUEST', { message: 'Share ID and deleteToken required.' });
       }
-      
+
+      await loadShareForBrand(shareId, access.brand);
+      // The record stays as a tombstone until the sweep removes it and its images
+      const share = await revokeShare(shareId, deleteToken);
+
       res.status(200).json({
         success: true,
-        conversation: conversationData
+        shareId: share.id,
+        revokedAt: share.revokedAt
       });
-      
+
     } else {
-      res.status(405).json({ error: 'Method not allowed' });
+      throw new AppError('METHOD_NOT_ALLOWED');
     }
-    
+
   } catch (error) {
-    console.error('Share API Error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: error.message,
-      details: {
-        hasGoogleCredentials: !!process.env.GOOGLE_SERVICE_ACCOUNT_KEY,
-        hasGoogleProjectId: !!process.env.GOOGLE_CLOUD_PROJECT_ID,
-        hasStorageBucket: !!process.env.GOOGLE_STORAGE_BUCKET
-      }
-    });
+    sendError(req, res, error, 'Share');
   }
 };
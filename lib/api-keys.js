@@ -0,0 +1,231 @@
+// lib/api-keys.js - Retailer API keys and the access check every handler runs
+//
+// Each key belongs to one brand, lists the browser origins allowed to use it
+// and the scopes it grants. Handlers take the brand from the key, never from
+// the request, so one retailer can't act under another's name. Keys look
+// like jk_<keyId>_<secret>; only a hash of the secret is stored, in
+// api-keys/<keyId>.json next to its rotation and revocation state.
+//
+// ALLOW_ANONYMOUS_ACCESS=true lets requests without a key through with every
+// scope and the brand from the request, for local development only.
+const crypto = require('crypto');
+const { AppError } = require('./errors');
+const { getBrandProfile } = require('./brands');
+const { getStore } = require('./storage');
+const { API_KEYS_PREFIX, apiKeyKey } = require('./storage/keys');
+
+const API_KEY_SCOPES = ['chat', 'share', 'analytics:read', 'analytics:write', 'crm'];
+const API_KEY_PATTERN = /^jk_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+const ALLOWED_HEADERS = 'Content-Type, Authorization, X-Api-Key, X-Share-Password';
+
+// Revocations reach warm instances within this long
+const KEY_CACHE_MS = 30 * 1000;
+const DEFAULT_ROTATION_GRACE_SECONDS = 24 * 60 * 60;
+
+const keyCache = new Map();
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function secretMatches(secret, expectedHash) {
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  const expected = Buffer.from(expectedHash || '', 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function validateKeySettings({ brand, scopes, allowedOrigins }) {
+  const errors = [];
+  if (!getBrandProfile(brand)) {
+    errors.push(`unknown brand: ${brand}`);
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+    errors.push(`scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+  }
+  if (!Array.isArray(allowedOrigins) || allowedOrigins.some(origin => !/^https?:\/\/[^/\s]+$/.test(origin))) {
+    errors.push('allowedOrigins must be a list of origins like https://www.example.com');
+  }
+  return errors;
+}
+
+// The secret is only ever returned here; store it on the retailer's side
+async function createApiKey({ brand, name = null, scopes, allowedOrigins = [] }) {
+  const errors = validateKeySettings({ brand, scopes, allowedOrigins });
+  if (errors.length > 0) {
+    throw new AppError('INVALID_REQUEST', { message: 'Invalid API key settings.', details: { validationErrors: errors } });
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const record = {
+    id,
+    brand,
+    name,
+    scopes,
+    allowedOrigins,
+    secretHash: hashSecret(secret),
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    expiresAt: null,
+    replacedBy: null,
+    revokedAt: null
+  };
+
+  await getStore().putJson(apiKeyKey(id), record, { ifGenerationMatch: 0 });
+  return { key: `jk_${id}_${secret}`, record: describeApiKey(record) };
+}
+
+async function loadApiKey(keyId) {
+  return getStore().getJson(apiKeyKey(keyId));
+}
+
+async function updateApiKey(keyId, update) {
+  const record = await getStore().updateJson(apiKeyKey(keyId), (current) => {
+    if (!current) {
+      throw new AppError('NOT_FOUND', { message: 'API key not found.' });
+    }
+    update(current);
+    return current;
+  });
+  keyCache.delete(keyId);
+  return record;
+}
+
+// The replacement gets the same brand, scopes and origins; the old key keeps
+// working for the grace period so the retailer can deploy the new one.
+async function rotateApiKey(keyId, { graceSeconds = DEFAULT_ROTATION_GRACE_SECONDS } = {}) {
+  const current = await loadApiKey(keyId);
+  if (!current || current.status !== 'active') {
+    throw new AppError('NOT_FOUND', { message: 'Active API key not found.' });
+  }
+
+  const replacement = await createApiKey({
+    brand: current.brand,
+    name: current.name,
+    scopes: current.scopes,
+    allowedOrigins: current.allowedOrigins
+  });
+  const expiresAt = new Date(Date.now() + graceSeconds * 1000).toISOString();
+  const previous = await updateApiKey(keyId, (record) => {
+    record.expiresAt = record.expiresAt && record.expiresAt < expiresAt ? record.expiresAt : expiresAt;
+    record.replacedBy = replacement.record.id;
+  });
+
+  return { ...replacement, previous: describeApiKey(previous) };
+}
+
+async function revokeApiKey(keyId) {
+  const record = await updateApiKey(keyId, (current) => {
+    current.status = 'revoked';
+    current.revokedAt = new Date().toISOString();
+  });
+  return describeApiKey(record);
+}
+
+async function listApiKeys(brand = null) {
+  const store = getStore();
+  const objects = await store.list(API_KEYS_PREFIX);
+  const records = await Promise.all(objects.map(({ key }) => store.getJson(key)));
+  return records
+    .filter(record => record && (!brand || record.brand === brand))
+    .map(describeApiKey);
+}
+
+// Everything but the secret hash
+function describeApiKey(record) {
+  const { secretHash, ...description } = record;
+  return description;
+}
+
+async function getCachedApiKey(keyId) {
+  const cached = keyCache.get(keyId);
+  if (cached && Date.now() - cached.loadedAt < KEY_CACHE_MS) {
+    return cached.record;
+  }
+  const record = await loadApiKey(keyId);
+  keyCache.set(keyId, { record, loadedAt: Date.now() });
+  return record;
+}
+
+function readPresentedKey(req) {
+  const header = req.headers['x-api-key'];
+  if (typeof header === 'string' && header) {
+    return header.trim();
+  }
+  const authorization = req.headers.authorization || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+}
+
+function isAnonymousAccessAllowed() {
+  return process.env.ALLOW_ANONYMOUS_ACCESS === 'true';
+}
+
+// Preflights carry no key, so any origin may ask; the real request is then
+// only readable by origins the key allows.
+function setCorsHeaders(req, res, methods) {
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+  res.setHeader('Vary', 'Origin');
+  if (req.method === 'OPTIONS' && req.headers.origin) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+  }
+}
+
+// Resolves the caller's key and checks its scope and origin. Returns
+// { keyId, brand, scopes, anonymous }; brand is null for anonymous access.
+async function authorizeRequest(req, res, scope) {
+  const presented = readPresentedKey(req);
+
+  if (!presented && isAnonymousAccessAllowed()) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    return { keyId: null, brand: null, scopes: API_KEY_SCOPES, anonymous: true };
+  }
+
+  const match = API_KEY_PATTERN.exec(presented || '');
+  if (!match) {
+    throw new AppError('UNAUTHORIZED');
+  }
+
+  const [, keyId, secret] = match;
+  const record = await getCachedApiKey(keyId);
+  if (!record || !secretMatches(secret, record.secretHash)) {
+    throw new AppError('UNAUTHORIZED');
+  }
+  if (record.status !== 'active' || (record.expiresAt && new Date(record.expiresAt) <= new Date())) {
+    throw new AppError('UNAUTHORIZED', { message: 'This API key has been revoked or has expired.' });
+  }
+
+  // Requests without an Origin come from servers, where origins mean nothing
+  const origin = req.headers.origin;
+  if (origin && !record.allowedOrigins.includes(origin)) {
+    throw new AppError('FORBIDDEN', { message: 'This API key cannot be used from this website.' });
+  }
+  if (!record.scopes.includes(scope)) {
+    throw new AppError('FORBIDDEN', { details: { requiredScope: scope } });
+  }
+
+  if (origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  return { keyId: record.id, brand: record.brand, scopes: record.scopes, anonymous: false };
+}
+
+// Whether a stored record may be shown to a caller acting for `brand`. Every
+// handler reports another retailer's records exactly like missing ones, so a
+// key can't be used to probe which ids exist elsewhere. Anonymous callers
+// (brand null) and records made without a brand are not restricted.
+function visibleToBrand(record, brand) {
+  return Boolean(record) && (!brand || !record.brand || record.brand === brand);
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  createApiKey,
+  loadApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  listApiKeys,
+  setCorsHeaders,
+  authorizeRequest,
+  visibleToBrand
+};
@@ -0,0 +1,98 @@
+// lib/brands.js - Brand profile registry used by chat and image generation
+
+// Bump a profile's version whenever its wording or settings change so generated
+// images can be traced back to the profile that produced them.
+const BRAND_PROFILES = {
+  default: {
+    id: 'default',
+    version: '1.3.0',
+    name: 'Jewelry Design Studio',
+    persona: 'You are a jewelry designer assistant. Keep responses brief and focused (2-3 sentences max).',
+    tone: 'warm, professional and concise',
+    categories: ['ring', 'engagement ring', 'wedding band', 'necklace', 'pendant', 'bracelet', 'earrings'],
+    metals: ['platinum', 'white gold', 'yellow gold', 'rose gold'],
+    stones: ['diamond', 'sapphire', 'emerald', 'ruby'],
+    cameraAngle: 'three-quarter view angle',
+    catalogStyle: 'professional studio lighting, sparkling reflections',
+    backgroundColor: 'pure white',
+    negativePrompt: [],
+    storagePrefix: '',
+    // Where people who open a share link land; null keeps them on our share page
+    shareBaseUrl: null,
+    dailyImageQuota: 500,
+    imageProviders: { primary: 'vertex', fallback: 'replicate' },
+    templates: {
+      chatSystem: 'chat-system@3',
+      catalog: 'catalog@1',
+      refinement: 'catalog-refinement@1'
+    },
+    postProcessing: { padding: 0.08, formats: ['png', 'webp', 'avif'], watermark: null }
+  },
+  gjs: {
+    id: 'gjs',
+    version: '1.3.0',
+    name: 'GJS USA',
+    persona: 'You are Cleo, the bridal jewelry designer for GJS USA. Keep responses brief and focused (2-3 sentences max).',
+    tone: 'elegant, reassuring and knowledgeable about bridal jewelry',
+    categories: ['engagement ring', 'wedding band', 'anniversary band', 'earrings', 'pendant'],
+    metals: ['platinum', '14k white gold', '14k yellow gold', '18k rose gold'],
+    stones: ['lab-grown diamond', 'natural diamond', 'moissanite', 'sapphire'],
+    cameraAngle: 'three-quarter view angle',
+    catalogStyle: 'soft bridal studio lighting, brilliant diamond sparkle',
+    backgroundColor: 'pure white',
+    negativePrompt: ['costume jewelry', 'plastic stones'],
+    storagePrefix: 'brands/gjs/',
+    shareBaseUrl: 'https://www.gjsusa.com/home?share=',
+    dailyImageQuota: 2000,
+    imageProviders: { primary: 'vertex', fallback: 'replicate' },
+    templates: {
+      chatSystem: 'chat-system@3',
+      catalog: 'catalog@1',
+      refinement: 'catalog-refinement@1'
+    },
+    postProcessing: {
+      padding: 0.08,
+      formats: ['png', 'webp', 'avif'],
+      watermark: { text: 'GJS USA', opacity: 0.3, gravity: 'southeast' }
+    }
+  }
+};
+
+const DEFAULT_BRAND = 'default';
+
+// Brand IDs come from clients, so inherited keys like "constructor" must not
+// resolve to a profile
+function getBrandProfile(brandId) {
+  return typeof brandId === 'string' && Object.hasOwn(BRAND_PROFILES, brandId)
+    ? BRAND_PROFILES[brandId]
+    : null;
+}
+
+// Unknown brands fall back to the default profile unless STRICT_BRANDS is set,
+// in which case the caller is expected to reject the request.
+function resolveBrandProfile(brandId) {
+  const requested = (brandId || DEFAULT_BRAND).toString().trim().toLowerCase();
+  const profile = getBrandProfile(requested);
+
+  if (profile) {
+    return { profile, requested, fallback: false };
+  }
+
+  if (process.env.STRICT_BRANDS === 'true') {
+    return { profile: null, requested, fallback: false };
+  }
+
+  return { profile: BRAND_PROFILES[DEFAULT_BRAND], requested, fallback: true };
+}
+
+function listBrands() {
+  return Object.keys(BRAND_PROFILES);
+}
+
+module.exports = {
+  BRAND_PROFILES,
+  DEFAULT_BRAND,
+  getBrandProfile,
+  resolveBrandProfile,
+  listBrands
+};
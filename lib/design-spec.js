@@ -0,0 +1,155 @@
+// lib/design-spec.js - Structured jewelry design specification returned by Claude
+
+const DESIGN_SPEC_TOOL = {
+  name: 'submit_design_spec',
+  description: 'Submit the jewelry design to render as a catalog image. Call this whenever the customer has described a piece to create or a change to the current design. Always describe the complete design, not just the change. Write every field in English, even when the conversation is in another language.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      jewelryType: {
+        type: 'string',
+        description: 'Kind of piece, e.g. "engagement ring", "tennis bracelet", "drop earrings"'
+      },
+      metal: {
+        type: 'string',
+        description: 'Metal and purity, e.g. "platinum", "14k gold"'
+      },
+      metalColor: {
+        type: 'string',
+        description: 'Metal color, e.g. "white", "yellow", "rose", "two-tone yellow and white"'
+      },
+      centerStone: {
+        type: 'string',
+        description: 'Center stone material, e.g. "diamond", "sapphire", or "none"'
+      },
+      cut: {
+        type: 'string',
+        description: 'Center stone cut, e.g. "round brilliant", "oval", "emerald"'
+      },
+      caratWeight: {
+        type: 'number',
+        description: 'Approximate center stone carat weight'
+      },
+      settingStyle: {
+        type: 'string',
+        description: 'Setting style, e.g. "six-prong solitaire", "halo", "bezel"'
+      },
+      bandProfile: {
+        type: 'string',
+        description: 'Band or chain profile, e.g. "knife-edge", "comfort fit", "cable chain"'
+      },
+      accents: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Accent details, e.g. "pave diamonds on the band", "hidden halo"'
+      }
+    },
+    required: ['jewelryType', 'metal', 'metalColor']
+  }
+};
+
+const STRING_FIELDS = ['jewelryType', 'metal', 'metalColor', 'centerStone', 'cut', 'settingStyle', 'bandProfile'];
+const MAX_FIELD_LENGTH = 120;
+const MAX_ACCENTS = 10;
+const MAX_CARAT_WEIGHT = 30;
+
+// Returns { valid, errors, spec } where spec only keeps known, trimmed fields
+function validateDesignSpec(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ['Design specification must be an object'], spec: null };
+  }
+
+  const spec = {};
+
+  STRING_FIELDS.forEach(field => {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+      return;
+    }
+    if (value.trim().length > MAX_FIELD_LENGTH) {
+      errors.push(`${field} must be at most ${MAX_FIELD_LENGTH} characters`);
+      return;
+    }
+    spec[field] = value.trim();
+  });
+
+  DESIGN_SPEC_TOOL.input_schema.required.forEach(field => {
+    if (!spec[field] && !errors.some(error => error.startsWith(field))) {
+      errors.push(`${field} is required`);
+    }
+  });
+
+  if (input.caratWeight !== undefined && input.caratWeight !== null) {
+    const carat = Number(input.caratWeight);
+    if (!Number.isFinite(carat) || carat <= 0 || carat > MAX_CARAT_WEIGHT) {
+      errors.push(`caratWeight must be a number between 0 and ${MAX_CARAT_WEIGHT}`);
+    } else {
+      spec.caratWeight = carat;
+    }
+  }
+
+  if (input.accents !== undefined && input.accents !== null) {
+    if (!Array.isArray(input.accents) || input.accents.some(accent => typeof accent !== 'string')) {
+      errors.push('accents must be an array of strings');
+    } else if (input.accents.length > MAX_ACCENTS) {
+      errors.push(`accents must have at most ${MAX_ACCENTS} entries`);
+    } else {
+      spec.accents = input.accents.map(accent => accent.trim()).filter(Boolean);
+    }
+  }
+
+  return errors.length > 0
+    ? { valid: false, errors, spec: null }
+    : { valid: true, errors: [], spec };
+}
+
+// Compose the Imagen subject description from a validated spec
+function composePromptFromSpec(spec) {
+  const parts = [`${spec.metalColor} ${spec.metal} ${spec.jewelryType}`];
+
+  if (spec.centerStone && spec.centerStone.toLowerCase() !== 'none') {
+    const carat = spec.caratWeight ? `${spec.caratWeight} carat ` : '';
+    const cut = spec.cut ? `${spec.cut} cut ` : '';
+    parts.push(`${carat}${cut}${spec.centerStone} center stone`);
+  }
+
+  if (spec.settingStyle) {
+    parts.push(`${spec.settingStyle} setting`);
+  }
+
+  if (spec.bandProfile) {
+    parts.push(`${spec.bandProfile} band`);
+  }
+
+  if (spec.accents?.length) {
+    parts.push(`accents: ${spec.accents.join(', ')}`);
+  }
+
+  return parts.join(', ');
+}
+
+// Pull the text reply and the raw spec (if any) out of a Claude response
+function extractDesignSpec(content = []) {
+  const text = content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n')
+    .trim();
+
+  const toolUse = content.find(block => block.type === 'tool_use' && block.name === DESIGN_SPEC_TOOL.name);
+
+  return { text, rawSpec: toolUse ? toolUse.input : null };
+}
+
+module.exports = {
+  DESIGN_SPEC_TOOL,
+  validateDesignSpec,
+  composePromptFromSpec,
+  extractDesignSpec
+};
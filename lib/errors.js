@@ -0,0 +1,337 @@
+// lib/errors.js - Error codes shared by every endpoint and the safe JSON body sent for them
+//
+// Responses keep `error` (short title) and `message` (safe to show customers)
+// and add a stable `code`, retry hints and the request id to quote in support.
+// Internal messages are only echoed outside production, and configuration is
+// never included.
+const crypto = require('crypto');
+const Anthropic = require('@anthropic-ai/sdk');
+
+const ERROR_CODES = {
+  INVALID_REQUEST: {
+    status: 400,
+    error: 'Invalid request',
+    message: 'The request is missing information or is not formatted correctly.',
+    retryable: false
+  },
+  INVALID_UPLOAD: {
+    status: 400,
+    error: 'Invalid upload',
+    message: 'The uploaded image could not be read. Please upload a JPEG or PNG photo.',
+    retryable: false
+  },
+  UPLOAD_TOO_LARGE: {
+    status: 413,
+    error: 'Upload too large',
+    message: 'The uploaded image is too large. Please upload an image under 10MB.',
+    retryable: false
+  },
+  SHARE_TOO_LARGE: {
+    status: 413,
+    error: 'Share too large',
+    message: 'This conversation is too large to share. Try sharing fewer messages or images.',
+    retryable: false
+  },
+  UNAUTHORIZED: {
+    status: 401,
+    error: 'Unauthorized',
+    message: 'A valid API key is required.',
+    retryable: false
+  },
+  FORBIDDEN: {
+    status: 403,
+    error: 'Forbidden',
+    message: 'This API key is not allowed to do that.',
+    retryable: false
+  },
+  SHARE_PASSWORD_REQUIRED: {
+    status: 401,
+    error: 'Password required',
+    message: 'This shared design is password protected.',
+    retryable: false
+  },
+  UNKNOWN_BRAND: {
+    status: 400,
+    error: 'Unknown brand',
+    message: 'This retailer is not configured for the design assistant.',
+    retryable: false
+  },
+  UNSUPPORTED_LOCALE: {
+    status: 400,
+    error: 'Unsupported locale',
+    message: 'The requested language is not supported.',
+    retryable: false
+  },
+  INVALID_DESIGN_SPEC: {
+    status: 400,
+    error: 'Invalid design specification',
+    message: 'The design specification is incomplete or invalid.',
+    retryable: false
+  },
+  SKETCH_UNREADABLE: {
+    status: 422,
+    error: 'Could not interpret sketch',
+    message: 'The uploaded sketch could not be read. Please upload a clearer drawing.',
+    retryable: false
+  },
+  NOT_FOUND: {
+    status: 404,
+    error: 'Not found',
+    message: 'The requested item could not be found.',
+    retryable: false
+  },
+  EXPIRED: {
+    status: 410,
+    error: 'Expired',
+    message: 'This link has expired.',
+    retryable: false
+  },
+  METHOD_NOT_ALLOWED: {
+    status: 405,
+    error: 'Method not allowed',
+    message: 'This endpoint does not support that method.',
+    retryable: false
+  },
+  SAFETY_BLOCKED: {
+    status: 422,
+    error: 'Image blocked by safety filter',
+    message: 'This design could not be rendered by our image service. Please try describing it differently.',
+    retryable: false
+  },
+  DESIGN_NOT_RETURNED: {
+    status: 502,
+    error: 'Design specification missing',
+    message: 'The assistant did not return a design to render. Please describe the piece again.',
+    retryable: true
+  },
+  PROVIDER_TIMEOUT: {
+    status: 504,
+    error: 'Image service timed out',
+    message: 'The image service took too long to respond. Please try again.',
+    retryable: true,
+    retryAfter: 5
+  },
+  PROVIDER_ERROR: {
+    status: 502,
+    error: 'Image service error',
+    message: 'The image service is having trouble right now. Please try again shortly.',
+    retryable: true,
+    retryAfter: 10
+  },
+  ASSISTANT_UNAVAILABLE: {
+    status: 503,
+    error: 'Assistant unavailable',
+    message: 'The design assistant is busy right now. Please try again in a moment.',
+    retryable: true,
+    retryAfter: 10
+  },
+  QUOTA_EXCEEDED: {
+    status: 429,
+    error: 'Quota exceeded',
+    message: 'Too many designs are being created right now. Please try again in a minute.',
+    retryable: true,
+    retryAfter: 60
+  },
+  RATE_LIMITED: {
+    status: 429,
+    error: 'Too many requests',
+    message: 'You are sending requests too quickly. Please wait a moment and try again.',
+    retryable: true,
+    retryAfter: 60
+  },
+  DAILY_QUOTA_EXCEEDED: {
+    status: 429,
+    error: 'Daily limit reached',
+    message: 'The design assistant has reached its image limit for today. Please come back tomorrow.',
+    retryable: true
+  },
+  STORAGE_UNAVAILABLE: {
+    status: 503,
+    error: 'Storage unavailable',
+    message: 'Designs cannot be saved right now. Please try again shortly.',
+    retryable: true,
+    retryAfter: 10
+  },
+  CONFLICT: {
+    status: 409,
+    error: 'Conflict',
+    message: 'This item was changed by another request. Please try again.',
+    retryable: true
+  },
+  CRM_ERROR: {
+    status: 502,
+    error: 'Contact update failed',
+    message: 'Your details could not be saved right now. Please try again later.',
+    retryable: true,
+    retryAfter: 30
+  },
+  JOB_STALLED: {
+    status: 504,
+    error: 'Job stalled',
+    message: 'The design stopped processing before it finished. Please try again.',
+    retryable: true
+  },
+  INTERNAL: {
+    status: 500,
+    error: 'Internal error',
+    message: 'Something went wrong. Please try again.',
+    retryable: true
+  }
+};
+
+// `details` are extra fields that are safe to return (validation errors,
+// Claude's reply, ...); `message` overrides the default customer message.
+class AppError extends Error {
+  constructor(code, options = {}) {
+    const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL;
+    super(options.message || definition.message);
+    this.name = 'AppError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL';
+    this.status = definition.status;
+    this.details = options.details || null;
+    this.retryAfter = options.retryAfter ?? definition.retryAfter ?? null;
+    this.cause = options.cause || null;
+  }
+}
+
+const PROVIDER_REASON_CODES = {
+  timeout: 'PROVIDER_TIMEOUT',
+  safety_blocked: 'SAFETY_BLOCKED',
+  quota_exceeded: 'QUOTA_EXCEEDED'
+};
+
+// Which error a caller sees when a dependency's circuit breaker is open
+const DEPENDENCY_CODES = {
+  anthropic: 'ASSISTANT_UNAVAILABLE',
+  storage: 'STORAGE_UNAVAILABLE',
+  hubspot: 'CRM_ERROR'
+};
+
+const MULTER_CODES = {
+  LIMIT_FILE_SIZE: 'UPLOAD_TOO_LARGE',
+  LIMIT_FILE_COUNT: 'INVALID_UPLOAD',
+  LIMIT_UNEXPECTED_FILE: 'INVALID_UPLOAD'
+};
+
+function retryAfterFromHeaders(headers) {
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  const seconds = parseInt(value, 10);
+  return Number.isNaN(seconds) ? undefined : seconds;
+}
+
+// Maps anything thrown by a handler, provider or SDK onto an AppError
+function toAppError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error?.name === 'ProviderError') {
+    return new AppError(PROVIDER_REASON_CODES[error.reason] || 'PROVIDER_ERROR', { cause: error });
+  }
+
+  if (error?.name === 'CircuitOpenError') {
+    return new AppError(DEPENDENCY_CODES[error.dependency] || 'PROVIDER_ERROR', {
+      cause: error,
+      retryAfter: Math.max(1, Math.ceil(error.retryAfterMs / 1000))
+    });
+  }
+
+  // A conditional storage write lost a race with another writer
+  if (error?.name === 'PreconditionFailedError') {
+    return new AppError('CONFLICT', { cause: error });
+  }
+
+  if (error?.name === 'MulterError') {
+    return new AppError(MULTER_CODES[error.code] || 'INVALID_UPLOAD', { cause: error });
+  }
+
+  const status = error?.status || error?.response?.status;
+  const retryAfter = retryAfterFromHeaders(error?.headers || error?.response?.headers);
+
+  // Connection failures, overload (529) and 5xx from the Messages API mean
+  // Claude is unavailable; a 4xx other than 429 is our own bug.
+  if (error instanceof Anthropic.APIError) {
+    if (status === 429) {
+      return new AppError('QUOTA_EXCEEDED', { cause: error, retryAfter });
+    }
+    if (!status || status >= 500) {
+      return new AppError('ASSISTANT_UNAVAILABLE', { cause: error, retryAfter });
+    }
+    return new AppError('INTERNAL', { cause: error });
+  }
+
+  // Cloud Storage reports failures as ApiError with a numeric HTTP code
+  if (error?.name === 'ApiError' && typeof error.code === 'number' && error.code >= 500) {
+    return new AppError('STORAGE_UNAVAILABLE', { cause: error });
+  }
+
+  if (status === 429) {
+    return new AppError('QUOTA_EXCEEDED', { cause: error, retryAfter });
+  }
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT' || status === 504) {
+    return new AppError('PROVIDER_TIMEOUT', { cause: error });
+  }
+
+  return new AppError('INTERNAL', { cause: error });
+}
+
+// Honors an upstream X-Request-Id (e.g. from a proxy) when it looks safe
+function getRequestId(req) {
+  if (!req.requestId) {
+    const incoming = req.headers?.['x-request-id'];
+    req.requestId = typeof incoming === 'string' && /^[A-Za-z0-9_.:-]{8,128}$/.test(incoming)
+      ? incoming
+      : `req_${crypto.randomUUID()}`;
+  }
+  return req.requestId;
+}
+
+function toErrorBody(error, requestId) {
+  const appError = toAppError(error);
+  const definition = ERROR_CODES[appError.code];
+
+  const body = {
+    success: false,
+    status: appError.status,
+    code: appError.code,
+    error: definition.error,
+    message: appError.message,
+    retryable: definition.retryable,
+    retryAfter: appError.retryAfter,
+    requestId,
+    ...appError.details
+  };
+
+  if (process.env.NODE_ENV !== 'production' && appError.cause) {
+    body.debug = { type: appError.cause.constructor?.name, message: appError.cause.message };
+  }
+
+  return body;
+}
+
+// Logs the failure with its request id and sends the safe JSON body
+function sendError(req, res, error, context = 'API') {
+  const requestId = getRequestId(req);
+  const body = toErrorBody(error, requestId);
+
+  if (body.code === 'INTERNAL' || body.retryable) {
+    console.error(`${context} error [${requestId}] ${body.code}:`, error);
+  } else {
+    console.warn(`${context} error [${requestId}] ${body.code}:`, error.message);
+  }
+
+  res.setHeader('X-Request-Id', requestId);
+  if (body.retryAfter) {
+    res.setHeader('Retry-After', String(body.retryAfter));
+  }
+  return res.status(body.status).json(body);
+}
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  toAppError,
+  getRequestId,
+  toErrorBody,
+  sendError
+};
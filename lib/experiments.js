@@ -0,0 +1,195 @@
+// lib/experiments.js - Prompt A/B experiments and their outcome report
+//
+// Each experiment splits sessions between variants of the prompt settings.
+// A variant's overrides are applied on top of the brand profile:
+//   templates       replaces individual template refs, e.g. { catalog: 'catalog@2' }
+//   negativePrompt  extra terms added to the brand's negative prompt
+//   catalogStyle    replaces the brand's lighting/style wording
+// The first variant is the control the others are compared against.
+// Keep a finished experiment in the list with active: false so its report
+// stays readable; never reuse an experiment id.
+const crypto = require('crypto');
+
+const PROMPT_EXPERIMENTS = [
+  {
+    id: 'negative-prompt-props',
+    description: 'Does keeping hands, models and display props out of renders lead to more downloads?',
+    active: false,
+    brands: null, // null runs the experiment for every brand
+    variants: [
+      { id: 'control', weight: 50, overrides: {} },
+      {
+        id: 'no-props',
+        weight: 50,
+        overrides: { negativePrompt: ['hands', 'fingers', 'model', 'jewelry box', 'display stand', 'fabric'] }
+      }
+    ]
+  }
+];
+
+// Analytics event types counted per variant, mapped to their counter names
+const EXPERIMENT_COUNTERS = {
+  session_start: 'sessions',
+  image_generated: 'images',
+  download: 'downloads',
+  share: 'shares',
+  refinement: 'refinements'
+};
+
+// Outcomes compared against the control, each as a share of generated images
+const EXPERIMENT_METRICS = ['downloads', 'shares', 'refinements'];
+
+const MIN_SAMPLE_SIZE = 30;
+const SIGNIFICANCE_LEVEL = 0.05;
+function getExperiment(experimentId) {
+  return PROMPT_EXPERIMENTS.find(experiment => experiment.id === experimentId) || null;
+}
+
+// Hashing the session with the experiment id keeps a session in the same
+// variant on every request while splitting independently per experiment.
+function pickVariant(experiment, sessionId) {
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${sessionId}`).digest();
+  const point = hash.readUInt32BE(0) / 0x100000000;
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight / totalWeight;
+    if (point < cumulative) {
+      return variant;
+    }
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+function assignExperiments(sessionId, brandId) {
+  if (!sessionId) {
+    return [];
+  }
+
+  return PROMPT_EXPERIMENTS
+    .filter(experiment => experiment.active && (!experiment.brands || experiment.brands.includes(brandId)))
+    .map(experiment => ({ experiment: experiment.id, variant: pickVariant(experiment, sessionId).id }));
+}
+
+// Returns a copy of the profile with every assigned variant's overrides applied
+function applyExperiments(profile, assignments) {
+  return assignments.reduce((current, { experiment: experimentId, variant: variantId }) => {
+    const variant = getExperiment(experimentId).variants.find(({ id }) => id === variantId);
+    const { templates, negativePrompt, catalogStyle } = variant.overrides;
+
+    return {
+      ...current,
+      templates: templates ? { ...current.templates, ...templates } : current.templates,
+      negativePrompt: negativePrompt ? [...current.negativePrompt, ...negativePrompt] : current.negativePrompt,
+      catalogStyle: catalogStyle || current.catalogStyle
+    };
+  }, profile);
+}
+
+// Compact form for storage custom metadata, e.g. "negative-prompt-props:no-props"
+function formatAssignments(assignments) {
+  return assignments.map(({ experiment, variant }) => `${experiment}:${variant}`).join(',');
+}
+
+// Abramowitz and Stegun 7.1.26, accurate to about 1e-7
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496735) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-proportion z-test of the variant's rate against the control's
+function compareProportions(controlSuccesses, controlTrials, variantSuccesses, variantTrials) {
+  const controlRate = controlSuccesses / controlTrials;
+  const variantRate = variantSuccesses / variantTrials;
+  const pooled = (controlSuccesses + variantSuccesses) / (controlTrials + variantTrials);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / controlTrials + 1 / variantTrials));
+
+  if (standardError === 0) {
+    return { controlRate, variantRate, z: 0, pValue: 1 };
+  }
+
+  const z = (variantRate - controlRate) / standardError;
+  return { controlRate, variantRate, z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+function emptyCounters() {
+  return { sessions: 0, images: 0, downloads: 0, shares: 0, refinements: 0 };
+}
+
+function formatPercent(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+function describeComparison(variantId, metric, comparison) {
+  if (!comparison.enoughData) {
+    return `${variantId} ${metric}: not enough data yet (need ${MIN_SAMPLE_SIZE} images per variant)`;
+  }
+
+  const lift = comparison.controlRate > 0
+    ? ` (${comparison.variantRate >= comparison.controlRate ? '+' : ''}${((comparison.variantRate / comparison.controlRate - 1) * 100).toFixed(0)}%)`
+    : '';
+  const verdict = comparison.significant ? 'significant at 95%' : 'not significant';
+  return `${variantId} ${metric} ${formatPercent(comparison.variantRate)} vs ${formatPercent(comparison.controlRate)}${lift}, p=${comparison.pValue.toFixed(3)}, ${verdict}`;
+}
+
+// Builds the per-variant report for one experiment from the analytics counters.
+// Rates are per generated image; repeated downloads of one image count once at most.
+function summarizeExperiment(experiment, stats = {}) {
+  const variants = experiment.variants.map(({ id, weight }) => {
+    const counters = { ...emptyCounters(), ...stats[id] };
+    const rates = {};
+    EXPERIMENT_METRICS.forEach(metric => {
+      rates[metric] = counters.images > 0 ? Math.min(counters[metric], counters.images) / counters.images : null;
+    });
+    return { id, weight, ...counters, rates };
+  });
+
+  const [control, ...treatments] = variants;
+  const comparisons = [];
+  const readout = [];
+
+  treatments.forEach(variant => {
+    EXPERIMENT_METRICS.forEach(metric => {
+      const enoughData = control.images >= MIN_SAMPLE_SIZE && variant.images >= MIN_SAMPLE_SIZE;
+      const result = enoughData
+        ? compareProportions(
+          Math.min(control[metric], control.images), control.images,
+          Math.min(variant[metric], variant.images), variant.images
+        )
+        : { controlRate: control.rates[metric], variantRate: variant.rates[metric], z: null, pValue: null };
+
+      const comparison = {
+        variant: variant.id,
+        metric,
+        ...result,
+        enoughData,
+        significant: enoughData && result.pValue < SIGNIFICANCE_LEVEL
+      };
+      comparisons.push(comparison);
+      readout.push(describeComparison(variant.id, metric, comparison));
+    });
+  });
+
+  return {
+    id: experiment.id,
+    description: experiment.description,
+    active: experiment.active,
+    control: control.id,
+    variants,
+    comparisons,
+    readout
+  };
+}
+
+module.exports = {
+  PROMPT_EXPERIMENTS,
+  EXPERIMENT_COUNTERS,
+  getExperiment,
+  assignExperiments,
+  applyExperiments,
+  formatAssignments,
+  summarizeExperiment
+};
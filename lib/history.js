@@ -0,0 +1,124 @@
+// lib/history.js - Token-budgeted conversation history for chat turns
+//
+// The most recent turns are sent to Claude word for word: always the last
+// MIN_RECENT_MESSAGES, plus older ones while they fit in the token budget.
+// Turns that fall out of that window are folded into a short "design so far"
+// brief (metal, stones, setting, preferences, rejected ideas) that goes into
+// the system prompt instead. The brief is incremental: each update only reads
+// the previous brief and the newly dropped turns.
+const { getAnthropic } = require('./services');
+const { callDependency } = require('./resilience');
+const { renderTemplate, templateRef } = require('./templates');
+const { composePromptFromSpec } = require('./design-spec');
+
+const HISTORY_TOKEN_BUDGET = 3000;
+const MIN_RECENT_MESSAGES = 6;
+const SUMMARY_TEMPLATE = 'history-summary@1';
+const SUMMARY_MODEL = 'claude-sonnet-4-20250514';
+const SUMMARY_MAX_WORDS = 150;
+
+// Rough but conservative for English and Spanish; there is no tokenizer for
+// Claude models to call locally.
+const CHARS_PER_TOKEN = 3.5;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+function estimateTokens(text = '') {
+  return Math.ceil(text.length / CHARS_PER_TOKEN) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+// Index of the first turn to send verbatim. Turns are user/assistant pairs,
+// so the window always starts on a user turn, and it never reaches back into
+// turns the brief already covers.
+function findVerbatimStart(turns, summarizedThrough, budget) {
+  let start = Math.max(turns.length - MIN_RECENT_MESSAGES, 0);
+  let used = turns.slice(start).reduce((total, turn) => total + estimateTokens(turn.content), 0);
+
+  while (start - 2 >= summarizedThrough) {
+    const pairTokens = estimateTokens(turns[start - 2].content) + estimateTokens(turns[start - 1].content);
+    if (used + pairTokens > budget) {
+      break;
+    }
+    used += pairTokens;
+    start -= 2;
+  }
+
+  return Math.max(start - (start % 2), summarizedThrough);
+}
+
+function formatTranscript(turns) {
+  return turns
+    .map(({ role, content }) => `${role === 'user' ? 'Customer' : 'Assistant'}: ${content}`)
+    .join('\n\n');
+}
+
+async function summarizeTurns(turns, previousBrief, designSpec) {
+  const prompt = renderTemplate(SUMMARY_TEMPLATE, {
+    previousBrief,
+    latestDesignSpec: designSpec ? JSON.stringify(designSpec) : '',
+    maxWords: SUMMARY_MAX_WORDS
+  });
+
+  const response = await callDependency('anthropic', () => getAnthropic().messages.create({
+    model: SUMMARY_MODEL,
+    max_tokens: 400,
+    system: prompt.text,
+    messages: [{ role: 'user', content: formatTranscript(turns) }]
+  }));
+
+  return {
+    text: response.content.filter(block => block.type === 'text').map(block => block.text).join('\n').trim(),
+    template: templateRef(prompt)
+  };
+}
+
+// Used when the brief can't be updated: what is known for certain is the
+// previous brief and the latest spec, so nothing contradicts the design.
+function fallbackBrief(previousBrief, designSpec) {
+  return [previousBrief, designSpec ? `Current design: ${composePromptFromSpec(designSpec)}` : null]
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Returns the messages to send, the brief for the system prompt and the
+// summary to persist. `summary.summarizedTurns` counts the turns the brief
+// covers; `changed` is true when the session should store the new summary.
+async function buildHistory(session, options = {}) {
+  const { budget = HISTORY_TOKEN_BUDGET } = options;
+  const turns = session.turns || [];
+  const previous = session.summary || null;
+  const summarizedThrough = Math.min(previous?.summarizedTurns || 0, turns.length);
+
+  const start = findVerbatimStart(turns, summarizedThrough, budget);
+  const messages = turns.slice(start).map(({ role, content }) => ({ role, content }));
+
+  if (start === summarizedThrough) {
+    return { messages, brief: previous?.text || '', summary: previous, changed: false, degraded: false };
+  }
+
+  try {
+    const { text, template } = await summarizeTurns(turns.slice(summarizedThrough, start), previous?.text, session.designSpec);
+    const summary = {
+      text,
+      summarizedTurns: start,
+      template,
+      updatedAt: new Date().toISOString()
+    };
+    return { messages, brief: text, summary, changed: true, degraded: false };
+  } catch (error) {
+    // The dropped turns are retried on the next turn, since the summary is left as it was
+    console.error('History summary failed:', error.message);
+    return {
+      messages,
+      brief: fallbackBrief(previous?.text, session.designSpec),
+      summary: previous,
+      changed: false,
+      degraded: true
+    };
+  }
+}
+
+module.exports = {
+  HISTORY_TOKEN_BUDGET,
+  estimateTokens,
+  buildHistory
+};
@@ -0,0 +1,65 @@
+// lib/jobs.js - Asynchronous generation job records kept in the storage bucket
+const crypto = require('crypto');
+const { AppError, toErrorBody } = require('./errors');
+const { getStore } = require('./storage');
+const { jobKey } = require('./storage/keys');
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+// A job whose instance was frozen or killed stops updating, whether it had
+// started running or was still queued; after this long it is reported as
+// failed so the client can retry.
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+// Knowing a job ID is enough to read its result, so it must not be guessable
+function generateJobId() {
+  return `job_${Date.now()}_${crypto.randomBytes(12).toString('base64url')}`;
+}
+
+function isValidJobId(jobId) {
+  return typeof jobId === 'string' && /^job_\d+_[A-Za-z0-9_-]{16}$/.test(jobId);
+}
+
+// requestId ties the job's eventual error back to the request that started it
+function createJobRecord(brand, requestId = null) {
+  const now = new Date().toISOString();
+  return {
+    id: generateJobId(),
+    status: 'queued',
+    brand,
+    requestId,
+    createdAt: now,
+    updatedAt: now,
+    result: null,
+    error: null
+  };
+}
+
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await getStore().putJson(jobKey(job.id), job);
+  return job;
+}
+
+async function loadJob(jobId) {
+  const job = await getStore().getJson(jobKey(jobId));
+  if (!job) {
+    return null;
+  }
+
+  const pending = job.status === 'queued' || job.status === 'running';
+  if (pending && Date.now() - new Date(job.updatedAt).getTime() > STALE_JOB_MS) {
+    job.status = 'failed';
+    job.error = toErrorBody(new AppError('JOB_STALLED'), job.requestId);
+  }
+
+  return job;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  createJobRecord,
+  isValidJobId,
+  saveJob,
+  loadJob
+};
@@ -0,0 +1,131 @@
+// lib/locales.js - Conversation languages and how the customer's language is detected
+//
+// Claude replies in the conversation's language, but design specs and image
+// prompts always stay in English.
+
+const DEFAULT_LOCALE = 'en';
+
+const SUPPORTED_LOCALES = {
+  en: 'English',
+  es: 'Spanish',
+  hi: 'Hindi',
+  zh: 'Simplified Chinese',
+  'zh-TW': 'Traditional Chinese'
+};
+
+// Common words in jewelry requests; two or more from one list is a reliable signal
+const ENGLISH_WORDS = new Set([
+  'i', 'want', 'would', 'like', 'need', 'looking', 'a', 'an', 'the', 'with', 'for', 'and', 'in', 'make', 'can',
+  'ring', 'rings', 'engagement', 'gold', 'silver', 'white', 'yellow', 'diamond', 'diamonds', 'necklace',
+  'bracelet', 'earrings', 'stone', 'cut', 'band', 'more', 'please'
+]);
+
+const SPANISH_WORDS = new Set([
+  'quiero', 'quisiera', 'busco', 'un', 'una', 'el', 'la', 'los', 'las', 'de', 'del', 'con', 'para',
+  'anillo', 'anillos', 'compromiso', 'oro', 'plata', 'blanco', 'amarillo', 'rosa', 'diamante',
+  'diamantes', 'collar', 'pulsera', 'aretes', 'pendientes', 'piedra', 'corte', 'banda', 'mas', 'más'
+]);
+
+const DEVANAGARI_PATTERN = /[ऀ-ॿ]/;
+const HAN_PATTERN = /[㐀-䶿一-鿿]/;
+const SPANISH_CHAR_PATTERN = /[ñ¿¡]/i;
+
+// Accepts "es", "es-MX", "zh_TW", ... and returns a supported locale or null
+function normalizeLocale(locale) {
+  if (!locale || typeof locale !== 'string') {
+    return null;
+  }
+
+  const [language, region] = locale.trim().replace('_', '-').split('-');
+  const tag = region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+
+  if (SUPPORTED_LOCALES[tag]) {
+    return tag;
+  }
+  return SUPPORTED_LOCALES[language.toLowerCase()] ? language.toLowerCase() : null;
+}
+
+// Script-based detection covers Hindi and Chinese; Spanish and English are
+// recognised from punctuation or a few common words. Anything else is left
+// undetected.
+function detectLocale(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  if (DEVANAGARI_PATTERN.test(text)) {
+    return 'hi';
+  }
+  if (HAN_PATTERN.test(text)) {
+    return 'zh';
+  }
+  if (SPANISH_CHAR_PATTERN.test(text)) {
+    return 'es';
+  }
+
+  const words = text.toLowerCase().match(/[a-záéíóúü]+/g) || [];
+  const spanishWords = words.filter(word => SPANISH_WORDS.has(word)).length;
+  const englishWords = words.filter(word => ENGLISH_WORDS.has(word)).length;
+
+  if (spanishWords >= 2 && spanishWords > englishWords) {
+    return 'es';
+  }
+  if (englishWords >= 2 && englishWords > spanishWords) {
+    return 'en';
+  }
+  return null;
+}
+
+// First supported language in an Accept-Language header, by listed order
+function localeFromAcceptLanguage(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  for (const entry of header.split(',')) {
+    const locale = normalizeLocale(entry.split(';')[0]);
+    if (locale) {
+      return locale;
+    }
+  }
+  return null;
+}
+
+// An explicit locale wins, then the message text, then the browser's
+// Accept-Language. Returns { locale, source }, or null for an unsupported
+// explicit locale so the caller can reject it.
+function resolveLocale({ requested, text, acceptLanguage } = {}) {
+  if (requested) {
+    const locale = normalizeLocale(requested);
+    return locale ? { locale, source: 'request' } : null;
+  }
+
+  const detected = detectLocale(text);
+  if (detected) {
+    return { locale: detected, source: 'message' };
+  }
+
+  const preferred = localeFromAcceptLanguage(acceptLanguage);
+  if (preferred) {
+    return { locale: preferred, source: 'accept-language' };
+  }
+
+  return { locale: DEFAULT_LOCALE, source: 'default' };
+}
+
+function getLanguageName(locale) {
+  return SUPPORTED_LOCALES[locale] || SUPPORTED_LOCALES[DEFAULT_LOCALE];
+}
+
+function listLocales() {
+  return Object.keys(SUPPORTED_LOCALES);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  detectLocale,
+  resolveLocale,
+  getLanguageName,
+  listLocales
+};
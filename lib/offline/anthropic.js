@@ -0,0 +1,191 @@
+// lib/offline/anthropic.js - Canned Claude stand-in for offline development
+//
+// Mimics messages.create and messages.stream closely enough for the chat
+// flow: chat turns call the design spec tool when the message mentions a
+// piece of jewelry (or refines one), image analyses return a fixed
+// description and history summaries list the current design. Replies are prefixed with [offline] so they are never
+// mistaken for real output.
+const { EventEmitter } = require('events');
+const { DESIGN_SPEC_TOOL } = require('../design-spec');
+
+const MODEL = 'offline-fake';
+
+// Keyword -> value tables; English plus the Spanish words customers use most
+const JEWELRY_TYPES = [
+  [/engagement ring|anillo de compromiso/, 'engagement ring'],
+  [/wedding band|alianza/, 'wedding band'],
+  [/earring|arete|pendientes/, 'earrings'],
+  [/necklace|collar/, 'necklace'],
+  [/pendant|colgante/, 'pendant'],
+  [/bracelet|pulsera/, 'bracelet'],
+  [/ring|anillo|band/, 'ring']
+];
+const METALS = [
+  [/platinum|platino/, 'platinum'],
+  [/silver|plata/, 'sterling silver'],
+  [/gold|oro/, '14k gold']
+];
+const METAL_COLORS = [
+  [/rose|rosa/, 'rose'],
+  [/yellow|amarillo/, 'yellow'],
+  [/white|blanco/, 'white']
+];
+const STONES = [
+  [/sapphire|zafiro/, 'sapphire'],
+  [/emerald(?! cut)|esmeralda/, 'emerald'],
+  [/ruby|rub[ií]/, 'ruby'],
+  [/moissanite/, 'moissanite'],
+  [/diamond|diamante/, 'diamond']
+];
+const CUTS = [
+  [/oval/, 'oval'],
+  [/princess|princesa/, 'princess'],
+  [/emerald cut/, 'emerald'],
+  [/pear|pera/, 'pear'],
+  [/cushion/, 'cushion'],
+  [/round|redond/, 'round brilliant']
+];
+
+const FAKE_SKETCH_NOTES = {
+  isSketch: true,
+  jewelryType: 'ring',
+  silhouette: 'solitaire with a tall center setting',
+  proportions: 'center stone about twice the band width',
+  stonePlacement: ['one round center stone'],
+  bandDetails: 'plain tapered band',
+  annotations: null,
+  uncertainties: null
+};
+
+function match(table, text) {
+  const entry = table.find(([pattern]) => pattern.test(text));
+  return entry ? entry[1] : null;
+}
+
+function lastUserText(messages) {
+  const last = messages[messages.length - 1];
+  if (!last) {
+    return '';
+  }
+  if (typeof last.content === 'string') {
+    return last.content;
+  }
+  return last.content.filter(block => block.type === 'text').map(block => block.text).join(' ');
+}
+
+function currentSpecFromSystem(system = '') {
+  const found = system.match(/Current design specification: (\{.*\})/);
+  if (!found) {
+    return null;
+  }
+  try {
+    return JSON.parse(found[1]);
+  } catch (e) {
+    return null;
+  }
+}
+
+function buildSpec(text, system) {
+  const lower = text.toLowerCase();
+  const current = currentSpecFromSystem(system);
+  const mentioned = {
+    jewelryType: match(JEWELRY_TYPES, lower),
+    metal: match(METALS, lower),
+    metalColor: match(METAL_COLORS, lower),
+    centerStone: match(STONES, lower),
+    cut: match(CUTS, lower)
+  };
+
+  const isRefinement = /refine the current design/i.test(text);
+  const hasReferences = /supplied reference images/.test(system || '');
+  if (!current && !isRefinement && !hasReferences && !mentioned.jewelryType) {
+    return null;
+  }
+
+  const spec = { ...(current || { jewelryType: 'ring', metal: 'platinum', metalColor: 'white' }) };
+  Object.entries(mentioned).forEach(([field, value]) => {
+    if (value) {
+      spec[field] = value;
+    }
+  });
+  return spec;
+}
+
+function textBlock(text) {
+  return { type: 'text', text };
+}
+
+function buildMessage(content) {
+  return {
+    id: `msg_offline_${Date.now()}`,
+    type: 'message',
+    role: 'assistant',
+    model: MODEL,
+    content,
+    stop_reason: content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn',
+    usage: { input_tokens: 0, output_tokens: 0 }
+  };
+}
+
+function respond(request) {
+  const text = lastUserText(request.messages || []);
+  const hasImage = (request.messages || []).some(message =>
+    Array.isArray(message.content) && message.content.some(block => block.type === 'image')
+  );
+
+  if (hasImage) {
+    return buildMessage([textBlock(/"isSketch"/.test(request.system || '')
+      ? JSON.stringify(FAKE_SKETCH_NOTES)
+      : '[offline] polished white metal ring with a round brilliant center stone in a four-prong setting')]);
+  }
+
+  if (/"design so far" brief/.test(request.system || '')) {
+    const spec = currentSpecFromSystem(request.system);
+    return buildMessage([textBlock(spec
+      ? `[offline] Piece: ${spec.jewelryType}\nMetal: ${[spec.metalColor, spec.metal].filter(Boolean).join(' ')}\nStones: ${spec.centerStone || 'none'}`
+      : '[offline] Piece: undecided')]);
+  }
+
+  const usesSpecTool = (request.tools || []).some(tool => tool.name === DESIGN_SPEC_TOOL.name);
+  const spec = usesSpecTool ? buildSpec(text, request.system) : null;
+  if (!spec) {
+    return buildMessage([textBlock('[offline] I can only create jewelry images. What piece would you like me to design?')]);
+  }
+
+  const description = [spec.metalColor, spec.metal, spec.jewelryType].filter(Boolean).join(' ');
+  return buildMessage([
+    textBlock(`[offline] Here is your **${description}**${spec.centerStone ? ` with a ${spec.centerStone}` : ''}.`),
+    { type: 'tool_use', id: `toolu_offline_${Date.now()}`, name: DESIGN_SPEC_TOOL.name, input: spec }
+  ]);
+}
+
+// Emits the reply's text in a few chunks, like the SDK's MessageStream
+class FakeMessageStream extends EventEmitter {
+  constructor(request) {
+    super();
+    this.message = respond(request);
+    this.done = new Promise(resolve => setImmediate(() => {
+      this.message.content
+        .filter(block => block.type === 'text')
+        .forEach(block => block.text.match(/.{1,24}/gs).forEach(chunk => this.emit('text', chunk)));
+      resolve(this.message);
+    }));
+  }
+
+  finalMessage() {
+    return this.done;
+  }
+}
+
+class FakeAnthropic {
+  constructor() {
+    this.messages = {
+      create: async (request) => respond(request),
+      stream: (request) => new FakeMessageStream(request)
+    };
+  }
+}
+
+module.exports = {
+  FakeAnthropic
+};
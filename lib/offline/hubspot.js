@@ -0,0 +1,72 @@
+// lib/offline/hubspot.js - In-memory HubSpot CRM stand-in
+//
+// Covers the contact search/create/update and note calls made by
+// api/create-hubspot-contact.js. Data is lost when the process exits.
+
+class FakeHubSpotClient {
+  constructor() {
+    this.contacts = new Map();
+    this.notes = [];
+    this.nextId = 1;
+
+    this.crm = {
+      contacts: {
+        searchApi: { doSearch: (request) => this.searchContacts(request) },
+        basicApi: {
+          create: ({ properties }) => this.createContact(properties),
+          update: (id, { properties }) => this.updateContact(id, properties)
+        }
+      },
+      objects: {
+        notes: {
+          basicApi: { create: (note) => this.createNote(note) }
+        }
+      }
+    };
+  }
+
+  generateId() {
+    return String(this.nextId++);
+  }
+
+  // Only EQ filters are supported, which is all the handler uses
+  async searchContacts({ filterGroups = [] }) {
+    const matches = [...this.contacts.values()].filter(contact =>
+      filterGroups.some(({ filters }) =>
+        filters.every(({ propertyName, operator, value }) =>
+          operator === 'EQ' && contact.properties[propertyName] === value
+        )
+      )
+    );
+    return { total: matches.length, results: matches };
+  }
+
+  async createContact(properties) {
+    const now = new Date().toISOString();
+    const contact = { id: this.generateId(), properties: { ...properties }, createdAt: now, updatedAt: now };
+    this.contacts.set(contact.id, contact);
+    return contact;
+  }
+
+  async updateContact(id, properties) {
+    const contact = this.contacts.get(String(id));
+    if (!contact) {
+      const error = new Error(`Contact ${id} not found`);
+      error.code = 404;
+      throw error;
+    }
+    contact.properties = { ...contact.properties, ...properties };
+    contact.updatedAt = new Date().toISOString();
+    return contact;
+  }
+
+  async createNote({ properties, associations = [] }) {
+    const note = { id: this.generateId(), properties: { ...properties }, associations };
+    this.notes.push(note);
+    return note;
+  }
+}
+
+module.exports = {
+  FakeHubSpotClient
+};
@@ -0,0 +1,254 @@
+// lib/postprocess.js - Catalog-ready post-processing for generated jewelry images
+const sharp = require('sharp');
+
+const MASTER_SIZE = 1024;
+
+const RENDITION_SIZES = {
+  thumbnail: 256,
+  web: 1024,
+  print: 2048
+};
+
+const DEFAULT_FORMATS = ['png', 'webp', 'avif'];
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+// Pixels within this distance of white count as background when trimming
+const TRIM_THRESHOLD = 18;
+
+// Backdrops darker than this are a styling choice and are kept
+const MIN_BACKGROUND_LEVEL = 200;
+// Distance (per channel) from the backdrop's color that still counts as backdrop
+const BACKGROUND_TOLERANCE = 24;
+
+function escapeXml(text) {
+  return text.replace(/[<>&'"]/g, char => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+  }[char]));
+}
+
+function borderColor(data, width, height, channels) {
+  const samples = [[], [], []];
+  const sample = (x, y) => {
+    const offset = (y * width + x) * channels;
+    samples.forEach((values, channel) => values.push(data[offset + channel]));
+  };
+  for (let x = 0; x < width; x++) {
+    sample(x, 0);
+    sample(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    sample(0, y);
+    sample(width - 1, y);
+  }
+  return samples.map(values => values.sort((a, b) => a - b)[Math.floor(values.length / 2)]);
+}
+
+// Renders often come back on an off-white or light gray backdrop, which
+// trimming against white would keep. Pixels connected to the border and close
+// to the border's median color are painted white, so the backdrop goes while
+// light parts of the piece itself stay as they are.
+async function whitenBackground(buffer) {
+  const { data, info } = await sharp(buffer)
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = info;
+  const background = borderColor(data, width, height, channels);
+  if (Math.min(...background) < MIN_BACKGROUND_LEVEL) {
+    return buffer;
+  }
+
+  const isBackdrop = (pixel) => {
+    const offset = pixel * channels;
+    return background.every((value, channel) => Math.abs(data[offset + channel] - value) <= BACKGROUND_TOLERANCE);
+  };
+  const visited = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  let top = 0;
+  const push = (pixel) => {
+    if (!visited[pixel] && isBackdrop(pixel)) {
+      visited[pixel] = 1;
+      stack[top++] = pixel;
+    }
+  };
+
+  for (let x = 0; x < width; x++) {
+    push(x);
+    push((height - 1) * width + x);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    push(y * width);
+    push(y * width + width - 1);
+  }
+
+  while (top > 0) {
+    const pixel = stack[--top];
+    data.fill(255, pixel * channels, pixel * channels + 3);
+    const x = pixel % width;
+    if (x > 0) {
+      push(pixel - 1);
+    }
+    if (x < width - 1) {
+      push(pixel + 1);
+    }
+    if (pixel >= width) {
+      push(pixel - width);
+    }
+    if (pixel < width * (height - 1)) {
+      push(pixel + width);
+    }
+  }
+
+  return sharp(data, { raw: info }).png().toBuffer();
+}
+
+// Flatten onto white, whiten the backdrop, crop to the piece and re-center it
+// on a `size` square with even padding
+async function normalizeToWhite(buffer, padding, size = MASTER_SIZE) {
+  const flattened = await whitenBackground(await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .png()
+    .toBuffer());
+
+  let trimmed;
+  try {
+    trimmed = await sharp(flattened)
+      .trim({ background: '#ffffff', threshold: TRIM_THRESHOLD })
+      .toBuffer();
+  } catch (error) {
+    // A blank image has nothing to trim
+    trimmed = flattened;
+  }
+
+  const inner = Math.round(size * (1 - 2 * padding));
+  const resized = await sharp(trimmed)
+    .resize(inner, inner, { fit: 'inside', kernel: 'lanczos3' })
+    .toBuffer();
+
+  return sharp({
+    create: { width: size, height: size, channels: 3, background: '#ffffff' }
+  })
+    .composite([{ input: resized, gravity: 'center' }])
+    .png()
+    .toBuffer();
+}
+
+// Sized relative to a `size` square, so larger renditions get the same mark
+async function applyWatermark(buffer, watermark, size = MASTER_SIZE) {
+  const opacity = watermark.opacity ?? 0.35;
+  const scale = size / MASTER_SIZE;
+  let overlay;
+
+  if (watermark.logo) {
+    const logoWidth = Math.round(size * (watermark.scale || 0.18));
+    const { data, info } = await sharp(watermark.logo)
+      .resize({ width: logoWidth })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // Fade the logo by scaling its own alpha channel
+    for (let index = 3; index < data.length; index += 4) {
+      data[index] = Math.round(data[index] * opacity);
+    }
+    overlay = await sharp(data, { raw: info }).png().toBuffer();
+  } else if (watermark.text) {
+    overlay = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${80 * scale}">
+  <text x="${size - 32 * scale}" y="${56 * scale}" font-family="serif" font-size="${32 * scale}" text-anchor="end" fill="#000000" fill-opacity="${opacity}">${escapeXml(watermark.text)}</text>
+</svg>`);
+  } else {
+    return buffer;
+  }
+
+  return sharp(buffer)
+    .composite([{ input: overlay, gravity: watermark.gravity || 'southeast' }])
+    .png()
+    .toBuffer();
+}
+
+async function encode(buffer, size, format) {
+  const pipeline = sharp(buffer).resize(size, size, { kernel: 'lanczos3' });
+
+  switch (format) {
+    case 'webp':
+      return pipeline.webp({ quality: 90 }).toBuffer();
+    case 'avif':
+      return pipeline.avif({ quality: 60 }).toBuffer();
+    default:
+      return pipeline.png({ compressionLevel: 9 }).toBuffer();
+  }
+}
+
+async function renderSquare(buffer, size, padding, watermark) {
+  const square = await normalizeToWhite(buffer, padding, size);
+  return watermark ? applyWatermark(square, watermark, size) : square;
+}
+
+// Sizes above the master are rendered from the raw image, which `upscale`
+// (the image provider's own upscaler) enlarges first when it is too small.
+// Returns null, with the reason in `missing`, when that isn't possible.
+async function renderLargeSquare(buffer, size, options, missing, name) {
+  const { padding, watermark, upscale } = options;
+  const { width, height } = await sharp(buffer).metadata();
+  const sourceSize = Math.max(width, height);
+
+  let source = buffer;
+  if (sourceSize < size) {
+    if (!upscale) {
+      missing.push({ size: name, width: size, height: size, reason: 'source_too_small' });
+      return null;
+    }
+    try {
+      source = await upscale(buffer, sourceSize * 2 >= size ? 2 : 4);
+    } catch (error) {
+      console.error(`Upscaling for the ${name} rendition failed:`, error.message);
+      missing.push({ size: name, width: size, height: size, reason: 'upscale_failed' });
+      return null;
+    }
+  }
+  return renderSquare(source, size, padding, watermark);
+}
+
+// Returns the processed master PNG, every derived rendition and the sizes
+// that could not be produced (`missingRenditions`, with a reason each).
+// options: { padding, watermark: { text | logo, opacity, gravity, scale }, formats,
+//            upscale: async (buffer, factor) => Buffer }
+async function processCatalogImage(buffer, options = {}) {
+  const { padding = 0.08, watermark = null, formats = DEFAULT_FORMATS, upscale = null } = options;
+
+  const master = await renderSquare(buffer, MASTER_SIZE, padding, watermark);
+
+  const renditions = [];
+  const missingRenditions = [];
+  for (const [name, size] of Object.entries(RENDITION_SIZES)) {
+    const source = size > MASTER_SIZE
+      ? await renderLargeSquare(buffer, size, { padding, watermark, upscale }, missingRenditions, name)
+      : master;
+    if (!source) {
+      continue;
+    }
+    for (const format of formats) {
+      renditions.push({
+        size: name,
+        width: size,
+        height: size,
+        format,
+        contentType: CONTENT_TYPES[format],
+        buffer: await encode(source, size, format)
+      });
+    }
+  }
+
+  return { master, renditions, missingRenditions };
+}
+
+module.exports = {
+  RENDITION_SIZES,
+  processCatalogImage
+};
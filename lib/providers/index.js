@@ -0,0 +1,141 @@
+// lib/providers/index.js - Image generation provider registry with fallback
+//
+// Every provider exposes the same interface:
+//   generate({ prompt, negativePrompt, variants, seed, controlImage }) -> { images: [Buffer], model }
+//   edit({ prompt, negativePrompt, variants, baseImage, maskRegion }) -> { images: [Buffer], model }
+//   upscale({ image, factor }) -> { images: [Buffer], model }   optional, factor 2 or 4
+//   isConfigured() -> whether its credentials are set
+// Images are always PNG buffers. controlImage (a sketch to follow) is optional
+// and providers without control support ignore it.
+
+const { isFaked } = require('../services');
+
+// Failure reasons that make it worth trying the next provider
+const FALLBACK_REASONS = ['timeout', 'safety_blocked', 'quota_exceeded', 'circuit_open'];
+
+class ProviderError extends Error {
+  constructor(provider, reason, message, cause = null) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+const PROVIDER_LOADERS = {
+  vertex: () => require('./vertex'),
+  replicate: () => require('./replicate'),
+  stub: () => require('./stub')
+};
+
+function getProvider(name) {
+  const load = PROVIDER_LOADERS[name];
+  if (!load) {
+    throw new Error(`Unknown image provider: ${name}`);
+  }
+  return load();
+}
+
+// IMAGE_PROVIDER overrides the brand's primary provider (e.g. "stub" for offline work).
+// With Vertex faked (offline mode) only the stub provider is used.
+function resolveProviderChain(profile) {
+  if (isFaked('vertex')) {
+    return [process.env.IMAGE_PROVIDER || 'stub'];
+  }
+
+  const configured = profile.imageProviders || { primary: 'vertex', fallback: null };
+  const primary = process.env.IMAGE_PROVIDER || configured.primary;
+  const chain = [primary];
+
+  // A fallback without credentials could only fail in a less helpful way
+  if (configured.fallback && configured.fallback !== primary && getProvider(configured.fallback).isConfigured()) {
+    chain.push(configured.fallback);
+  }
+
+  return chain;
+}
+
+function withTimeout(promise, timeoutMs, provider) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(new ProviderError(provider, 'timeout', `${provider} did not respond within ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run `operation` ("generate" or "edit") against the brand's providers in order.
+// Only timeouts, safety blocks, exhausted quotas and open circuits fall through
+// to the next provider; anything else is a real failure and is rethrown. When
+// the fallback fails too, the primary's error is the one reported, since its
+// reason (a safety block, say) is what the customer needs to hear about.
+async function runWithFallback(operation, request, profile) {
+  const chain = resolveProviderChain(profile);
+  const attempts = [];
+  let primaryError = null;
+
+  for (let index = 0; index < chain.length; index++) {
+    const name = chain[index];
+    const provider = getProvider(name);
+
+    try {
+      const result = await withTimeout(provider[operation](request), provider.timeoutMs, name);
+      if (!result.images || result.images.length === 0) {
+        throw new ProviderError(name, 'safety_blocked', 'No image generated in response');
+      }
+
+      attempts.push({ provider: name, status: 'succeeded' });
+      return {
+        images: result.images,
+        provider: {
+          name,
+          model: result.model,
+          fallbackFrom: index > 0 ? chain[0] : null,
+          attempts
+        }
+      };
+    } catch (error) {
+      const reason = error instanceof ProviderError ? error.reason : 'failed';
+      attempts.push({ provider: name, status: 'failed', reason });
+
+      if (index > 0 && primaryError instanceof ProviderError) {
+        console.error(`Fallback image provider ${name} failed (${reason}):`, error.message);
+        throw primaryError;
+      }
+
+      const hasNext = index < chain.length - 1;
+      if (!hasNext || !FALLBACK_REASONS.includes(reason)) {
+        throw error;
+      }
+      primaryError = error;
+
+      console.warn(`Image provider ${name} failed (${reason}), falling back to ${chain[index + 1]}`);
+    }
+  }
+}
+
+// Upscales one image with the provider that rendered it, for renditions
+// larger than the provider's output. There is no fallback: another model
+// would redraw details of a design the customer has already seen.
+async function upscaleImage(name, image, factor) {
+  const provider = getProvider(name);
+  if (typeof provider.upscale !== 'function') {
+    throw new ProviderError(name, 'unsupported', `${name} cannot upscale images`);
+  }
+  const result = await withTimeout(provider.upscale({ image, factor }), provider.timeoutMs, name);
+  if (!result.images || result.images.length === 0) {
+    throw new ProviderError(name, 'safety_blocked', 'No image returned by the upscaler');
+  }
+  return result.images[0];
+}
+
+module.exports = {
+  ProviderError,
+  getProvider,
+  resolveProviderChain,
+  runWithFallback,
+  upscaleImage
+};
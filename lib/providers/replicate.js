@@ -0,0 +1,106 @@
+// lib/providers/replicate.js - Replicate-hosted image model provider
+const Replicate = require('replicate');
+const axios = require('axios');
+const sharp = require('sharp');
+const { ProviderError } = require('./index');
+
+const NAME = 'replicate';
+const GENERATE_MODEL = process.env.REPLICATE_MODEL || 'black-forest-labs/flux-schnell';
+const EDIT_MODEL = process.env.REPLICATE_EDIT_MODEL || 'black-forest-labs/flux-dev';
+// An upscaler taking { image, scale }, e.g. a pinned Real-ESRGAN version
+const UPSCALE_MODEL = process.env.REPLICATE_UPSCALE_MODEL || null;
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+let client = null;
+
+function isConfigured() {
+  return Boolean(process.env.REPLICATE_API_TOKEN);
+}
+
+function getClient() {
+  if (!client) {
+    client = new Replicate({ auth: process.env.REPLICATE_API_TOKEN });
+  }
+  return client;
+}
+
+async function run(model, input) {
+  let output;
+  try {
+    output = await getClient().run(model, { input });
+  } catch (error) {
+    if (error.response?.status === 429) {
+      throw new ProviderError(NAME, 'quota_exceeded', error.message, error);
+    }
+    if (/nsfw|safety/i.test(error.message)) {
+      throw new ProviderError(NAME, 'safety_blocked', error.message, error);
+    }
+    throw error;
+  }
+
+  const urls = (Array.isArray(output) ? output : [output]).filter(Boolean);
+  if (urls.length === 0) {
+    throw new ProviderError(NAME, 'safety_blocked', 'No image generated in response');
+  }
+
+  // Outputs are hosted files; normalise them to PNG like every other provider
+  const images = await Promise.all(urls.map(async (url) => {
+    const response = await axios.get(String(url), {
+      responseType: 'arraybuffer',
+      timeout: DOWNLOAD_TIMEOUT_MS
+    });
+    return sharp(Buffer.from(response.data)).png().toBuffer();
+  }));
+
+  return { images, model };
+}
+
+// Flux models take no negative prompt, so it is folded into the main prompt
+function withAvoidList(prompt, negativePrompt) {
+  return negativePrompt ? `${prompt}. Avoid: ${negativePrompt}` : prompt;
+}
+
+async function generate({ prompt, negativePrompt, variants = 1, seed = null }) {
+  const input = {
+    prompt: withAvoidList(prompt, negativePrompt),
+    num_outputs: variants,
+    aspect_ratio: '1:1',
+    output_format: 'png'
+  };
+  if (seed !== null) {
+    input.seed = seed;
+  }
+
+  return run(GENERATE_MODEL, input);
+}
+
+// Image-to-image refinement; Replicate's flux models have no mask input, so the
+// requested region is ignored and the whole piece is re-rendered from the base.
+async function edit({ prompt, negativePrompt, variants = 1, baseImage }) {
+  return run(EDIT_MODEL, {
+    prompt: withAvoidList(prompt, negativePrompt),
+    image: `data:image/png;base64,${baseImage.toString('base64')}`,
+    prompt_strength: 0.55,
+    num_outputs: variants,
+    output_format: 'png'
+  });
+}
+
+async function upscale({ image, factor = 2 }) {
+  if (!UPSCALE_MODEL) {
+    throw new ProviderError(NAME, 'unsupported', 'REPLICATE_UPSCALE_MODEL is not set');
+  }
+  return run(UPSCALE_MODEL, {
+    image: `data:image/png;base64,${image.toString('base64')}`,
+    scale: factor
+  });
+}
+
+module.exports = {
+  name: NAME,
+  timeoutMs: 90000,
+  isConfigured,
+  generate,
+  edit,
+  upscale
+};
@@ -0,0 +1,73 @@
+// lib/providers/stub.js - Deterministic placeholder images for offline development
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const NAME = 'stub';
+const SIZE = 1024;
+
+function escapeXml(text) {
+  return text.replace(/[<>&'"]/g, char => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+  }[char]));
+}
+
+// Same prompt, seed and index always produce the same colors
+function paletteFor(prompt, seed, index) {
+  const digest = crypto.createHash('sha256').update(`${prompt}|${seed}|${index}`).digest();
+  const color = (offset) => `rgb(${digest[offset]}, ${digest[offset + 1]}, ${digest[offset + 2]})`;
+  return { metal: color(0), stone: color(3) };
+}
+
+function placeholderSvg(prompt, seed, index, label) {
+  const { metal, stone } = paletteFor(prompt, seed, index);
+  const caption = escapeXml(prompt.slice(0, 80));
+
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}">
+  <rect width="100%" height="100%" fill="#ffffff"/>
+  <circle cx="512" cy="560" r="220" fill="none" stroke="${metal}" stroke-width="48"/>
+  <polygon points="512,250 592,340 512,430 432,340" fill="${stone}" stroke="${metal}" stroke-width="8"/>
+  <text x="512" y="900" font-family="sans-serif" font-size="28" text-anchor="middle" fill="#555555">${caption}</text>
+  <text x="512" y="950" font-family="sans-serif" font-size="22" text-anchor="middle" fill="#999999">${escapeXml(label)}</text>
+</svg>`);
+}
+
+async function generate({ prompt, variants = 1, seed = null }) {
+  const images = await Promise.all(Array.from({ length: variants }, (_, index) =>
+    sharp(placeholderSvg(prompt, seed, index, `stub render ${index + 1}`)).png().toBuffer()
+  ));
+
+  return { images, model: 'stub-placeholder' };
+}
+
+// Overlay the edit caption on the base image so refinements stay recognisable
+async function edit({ prompt, variants = 1, baseImage }) {
+  const base = await sharp(baseImage).resize(SIZE, SIZE, { fit: 'contain', background: '#ffffff' }).png().toBuffer();
+
+  const images = await Promise.all(Array.from({ length: variants }, (_, index) => {
+    const { stone } = paletteFor(prompt, 'edit', index);
+    const overlay = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}">
+  <rect x="0" y="${SIZE - 90}" width="${SIZE}" height="90" fill="${stone}" fill-opacity="0.25"/>
+  <text x="512" y="${SIZE - 35}" font-family="sans-serif" font-size="26" text-anchor="middle" fill="#333333">${escapeXml(`edit: ${prompt.slice(0, 70)}`)}</text>
+</svg>`);
+
+    return sharp(base).composite([{ input: overlay }]).png().toBuffer();
+  }));
+
+  return { images, model: 'stub-placeholder' };
+}
+
+// Placeholders have no detail to recover, so a plain resize stands in
+async function upscale({ image, factor = 2 }) {
+  const { width, height } = await sharp(image).metadata();
+  const upscaled = await sharp(image).resize(width * factor, height * factor, { kernel: 'lanczos3' }).png().toBuffer();
+  return { images: [upscaled], model: 'stub-resize' };
+}
+
+module.exports = {
+  name: NAME,
+  timeoutMs: 10000,
+  isConfigured: () => true,
+  generate,
+  edit,
+  upscale
+};
@@ -0,0 +1,227 @@
+// lib/providers/vertex.js - Google Vertex AI Imagen provider
+const { GoogleAuth } = require('google-auth-library');
+const axios = require('axios');
+const sharp = require('sharp');
+const { ProviderError } = require('./index');
+const { parseServiceAccountKey } = require('../services');
+const { callDependency, isTransientError } = require('../resilience');
+
+const NAME = 'vertex';
+const GENERATE_MODEL = process.env.VERTEX_IMAGEN_MODEL || 'imagen-3.0-generate-001';
+const EDIT_MODEL = process.env.VERTEX_IMAGEN_EDIT_MODEL || 'imagen-3.0-capability-001';
+const UPSCALE_MODEL = process.env.VERTEX_IMAGEN_UPSCALE_MODEL || 'imagen-3.0-generate-002';
+const LOCATION = process.env.VERTEX_LOCATION || 'us-central1';
+const REQUEST_TIMEOUT_MS = 60000;
+
+let auth = null;
+
+function isConfigured() {
+  return Boolean(process.env.GOOGLE_SERVICE_ACCOUNT_KEY && process.env.GOOGLE_CLOUD_PROJECT_ID);
+}
+
+// Credentials are parsed on first use so other providers work without them
+function getAuth() {
+  if (!auth) {
+    auth = new GoogleAuth({
+      credentials: parseServiceAccountKey(),
+      scopes: ['https://www.googleapis.com/auth/cloud-platform'],
+    });
+  }
+  return auth;
+}
+
+function modelUrl(model) {
+  const projectId = process.env.GOOGLE_CLOUD_PROJECT_ID;
+  return `https://${LOCATION}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${LOCATION}/publishers/google/models/${model}:predict`;
+}
+
+async function predict(model, requestBody) {
+  const authClient = await getAuth().getClient();
+  const { token: accessToken } = await authClient.getAccessToken();
+
+  // 429s and 5xx are retried briefly; a timed-out request is not, since the
+  // provider timeout leaves no room for a second full attempt.
+  let response;
+  try {
+    response = await callDependency('vertex', () => axios.post(modelUrl(model), requestBody, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    }), {
+      isRetryable: (error) => error.code !== 'ECONNABORTED' && isTransientError(error)
+    });
+  } catch (error) {
+    if (error.name === 'CircuitOpenError') {
+      throw new ProviderError(NAME, 'circuit_open', error.message, error);
+    }
+    if (error.code === 'ECONNABORTED') {
+      throw new ProviderError(NAME, 'timeout', 'Imagen request timed out', error);
+    }
+
+    const apiMessage = error.response?.data?.error?.message || error.message;
+    if (error.response?.status === 429 || /resource.?exhausted|quota/i.test(apiMessage)) {
+      throw new ProviderError(NAME, 'quota_exceeded', apiMessage, error);
+    }
+    if (/safety|blocked|responsible ai/i.test(apiMessage)) {
+      throw new ProviderError(NAME, 'safety_blocked', apiMessage, error);
+    }
+    throw error;
+  }
+
+  // Filtered samples come back without image bytes
+  const images = (response.data.predictions || [])
+    .filter(prediction => prediction?.bytesBase64Encoded)
+    .map(prediction => Buffer.from(prediction.bytesBase64Encoded, 'base64'));
+
+  if (images.length === 0) {
+    throw new ProviderError(NAME, 'safety_blocked', 'No image generated in response');
+  }
+
+  return { images, model };
+}
+
+// Mask region is given in relative coordinates (0-1) of the base image;
+// white marks the area Imagen may repaint, black is preserved.
+async function buildMaskImage(baseImageBuffer, maskRegion) {
+  const { width, height } = await sharp(baseImageBuffer).metadata();
+  const clamp = (value) => Math.min(Math.max(Number(value) || 0, 0), 1);
+
+  const left = Math.round(clamp(maskRegion.x) * width);
+  const top = Math.round(clamp(maskRegion.y) * height);
+  const regionWidth = Math.max(1, Math.min(Math.round(clamp(maskRegion.width) * width), width - left));
+  const regionHeight = Math.max(1, Math.min(Math.round(clamp(maskRegion.height) * height), height - top));
+
+  const region = await sharp({
+    create: { width: regionWidth, height: regionHeight, channels: 3, background: '#ffffff' }
+  }).png().toBuffer();
+
+  return sharp({
+    create: { width, height, channels: 3, background: '#000000' }
+  })
+    .composite([{ input: region, left, top }])
+    .png()
+    .toBuffer();
+}
+
+// A sketch is passed as a scribble control image so Imagen follows its lines
+async function generateFromControlImage({ prompt, negativePrompt, variants, seed, controlImage }) {
+  const requestBody = {
+    instances: [{
+      prompt: `${prompt}, following the outline of the sketch [1]`,
+      referenceImages: [{
+        referenceType: 'REFERENCE_TYPE_CONTROL',
+        referenceId: 1,
+        referenceImage: { bytesBase64Encoded: controlImage.toString('base64') },
+        controlImageConfig: {
+          controlType: 'CONTROL_TYPE_SCRIBBLE',
+          enableControlImageComputation: true
+        }
+      }]
+    }],
+    parameters: {
+      negativePrompt,
+      outputOptions: { mimeType: 'image/png' },
+      safetySetting: 'block_medium_and_above',
+      personGeneration: 'dont_allow',
+      sampleCount: variants,
+      ...(seed === null ? {} : { seed, addWatermark: false })
+    }
+  };
+
+  return predict(EDIT_MODEL, requestBody);
+}
+
+async function generate({ prompt, negativePrompt, variants = 1, seed = null, controlImage = null }) {
+  if (controlImage) {
+    return generateFromControlImage({ prompt, negativePrompt, variants, seed, controlImage });
+  }
+
+  const requestBody = {
+    instances: [{
+      prompt,
+      negative_prompt: negativePrompt,
+      parameters: {
+        aspectRatio: "1:1",
+        outputMimeType: "image/png",
+        safetyFilterLevel: "block_some",
+        personGeneration: "dont_allow"
+      }
+    }],
+    // Imagen only honours a fixed seed when its invisible watermark is disabled
+    parameters: seed === null
+      ? { sampleCount: variants }
+      : { sampleCount: variants, seed, addWatermark: false }
+  };
+
+  return predict(GENERATE_MODEL, requestBody);
+}
+
+async function edit({ prompt, negativePrompt, variants = 1, baseImage, maskRegion = null }) {
+  // Without an explicit region, let Imagen repaint the jewelry itself while
+  // keeping the studio background untouched.
+  const maskReference = maskRegion
+    ? {
+        referenceType: 'REFERENCE_TYPE_MASK',
+        referenceId: 2,
+        referenceImage: {
+          bytesBase64Encoded: (await buildMaskImage(baseImage, maskRegion)).toString('base64')
+        },
+        maskImageConfig: { maskMode: 'MASK_MODE_USER_PROVIDED', dilation: 0.01 }
+      }
+    : {
+        referenceType: 'REFERENCE_TYPE_MASK',
+        referenceId: 2,
+        maskImageConfig: { maskMode: 'MASK_MODE_FOREGROUND', dilation: 0.01 }
+      };
+
+  const requestBody = {
+    instances: [{
+      prompt,
+      referenceImages: [
+        {
+          referenceType: 'REFERENCE_TYPE_RAW',
+          referenceId: 1,
+          referenceImage: { bytesBase64Encoded: baseImage.toString('base64') }
+        },
+        maskReference
+      ]
+    }],
+    parameters: {
+      editMode: 'EDIT_MODE_INPAINT_INSERTION',
+      negativePrompt,
+      outputOptions: { mimeType: 'image/png' },
+      safetySetting: 'block_medium_and_above',
+      personGeneration: 'dont_allow',
+      sampleCount: variants
+    }
+  };
+
+  return predict(EDIT_MODEL, requestBody);
+}
+
+async function upscale({ image, factor = 2 }) {
+  const requestBody = {
+    instances: [{
+      prompt: '',
+      image: { bytesBase64Encoded: image.toString('base64') }
+    }],
+    parameters: {
+      mode: 'upscale',
+      upscaleConfig: { upscaleFactor: `x${factor}` },
+      outputOptions: { mimeType: 'image/png' }
+    }
+  };
+
+  return predict(UPSCALE_MODEL, requestBody);
+}
+
+module.exports = {
+  name: NAME,
+  timeoutMs: REQUEST_TIMEOUT_MS + 5000,
+  isConfigured,
+  generate,
+  edit,
+  upscale
+};
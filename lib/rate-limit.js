@@ -0,0 +1,216 @@
+// lib/rate-limit.js - Sliding-window request limits and daily image quotas
+//
+// Counters live in the storage bucket so limits hold across serverless
+// instances. Request limits use a sliding window approximated from two fixed
+// windows: the previous window's count is weighted by how much of it still
+// overlaps the window ending now. Brands also get a daily image quota from
+// their profile, which an admin can raise with a temporary override.
+//
+// A subject's windows older than the previous one are deleted when its next
+// window starts. Subjects that never come back leave their last windows
+// behind; storage-lifecycle.json holds the bucket lifecycle rule that removes
+// them after a day:
+//   gcloud storage buckets update gs://$GOOGLE_STORAGE_BUCKET --lifecycle-file=storage-lifecycle.json
+//
+// Cloud Storage takes about one write per second to a single object, so each
+// day's image count is spread over QUOTA_SHARDS objects and summed on read.
+// Reservations landing on different shards at the same moment can overshoot
+// the quota by the few images in flight.
+//
+// Both fail open: a storage outage must not take the assistant down, so
+// counters that can't be read or written only log.
+const crypto = require('crypto');
+const { AppError } = require('./errors');
+const { getStore } = require('./storage');
+const {
+  rateLimitSubjectPrefix,
+  rateLimitWindowKey,
+  dailyQuotaKey,
+  quotaOverrideKey
+} = require('./storage/keys');
+
+const RATE_LIMITS = {
+  'chat:ip': { limit: 20, windowSeconds: 60 },
+  'chat:session': { limit: 8, windowSeconds: 60 },
+  'share:ip': { limit: 10, windowSeconds: 60 },
+  'share-unlock:ip': { limit: 10, windowSeconds: 300 },
+  'analytics:ip': { limit: 60, windowSeconds: 60 },
+  'crm:ip': { limit: 5, windowSeconds: 60 }
+};
+
+const DEFAULT_DAILY_IMAGE_QUOTA = 500;
+const QUOTA_SHARDS = 8;
+
+function clientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (typeof forwarded === 'string' && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+function hashSubject(subject) {
+  return crypto.createHash('sha256').update(String(subject)).digest('hex').slice(0, 16);
+}
+
+// Deletes the subject's windows that ended before `oldestKept` started
+async function pruneWindows(store, policy, hashed, oldestKept) {
+  const windows = await store.list(rateLimitSubjectPrefix(policy, hashed));
+  for (const { key } of windows) {
+    if (parseInt(key.split('/').pop(), 10) < oldestKept) {
+      await store.delete(key);
+    }
+  }
+}
+
+// Counts one request against `policy` for `subject` (an IP, session id, ...)
+// and throws RATE_LIMITED with the seconds until it would be allowed.
+async function enforceRateLimit(policy, subject) {
+  const { limit, windowSeconds } = RATE_LIMITS[policy];
+  const windowMs = windowSeconds * 1000;
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const hashed = hashSubject(subject);
+  const store = getStore();
+
+  try {
+    const previous = await store.getJson(rateLimitWindowKey(policy, hashed, windowStart - windowMs));
+    const overlap = 1 - (now - windowStart) / windowMs;
+    const weighted = (previous?.count || 0) * overlap;
+    let startsWindow = false;
+
+    await store.updateJson(rateLimitWindowKey(policy, hashed, windowStart), (counter) => {
+      if (weighted + counter.count + 1 > limit) {
+        // Wait for the weighted previous window to decay or the next window, whichever is sooner
+        const excess = weighted + counter.count + 1 - limit;
+        const decayMs = previous?.count ? (excess / previous.count) * windowMs : Infinity;
+        const retryAfterMs = Math.min(decayMs, windowStart + windowMs - now);
+        throw new AppError('RATE_LIMITED', { retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000)) });
+      }
+      startsWindow = counter.count === 0;
+      counter.count++;
+      return counter;
+    }, { initial: { count: 0 } });
+
+    if (startsWindow) {
+      await pruneWindows(store, policy, hashed, windowStart - windowMs);
+    }
+  } catch (error) {
+    if (error instanceof AppError && error.code === 'RATE_LIMITED') {
+      throw error;
+    }
+    console.error(`Rate limit ${policy} not checked:`, error.message);
+  }
+}
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(date = new Date()) {
+  const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  return Math.max(1, Math.ceil((midnight - date.getTime()) / 1000));
+}
+
+async function loadQuotaOverride(brand) {
+  const override = await getStore().getJson(quotaOverrideKey(brand));
+  if (override && override.expiresAt && new Date(override.expiresAt) <= new Date()) {
+    return null;
+  }
+  return override;
+}
+
+async function getDailyImageQuota(profile) {
+  const override = await loadQuotaOverride(profile.id);
+  return override?.dailyImageQuota ?? profile.dailyImageQuota ?? DEFAULT_DAILY_IMAGE_QUOTA;
+}
+
+// Images counted on each of the day's shards
+async function loadShardCounts(brand, day) {
+  const shards = await Promise.all(
+    Array.from({ length: QUOTA_SHARDS }, (_, shard) => getStore().getJson(dailyQuotaKey(brand, day, shard)))
+  );
+  return shards.map(usage => usage?.count || 0);
+}
+
+function sum(counts) {
+  return counts.reduce((total, count) => total + count, 0);
+}
+
+async function getQuotaUsage(profile) {
+  const day = utcDay();
+  const [limit, counts, override] = await Promise.all([
+    getDailyImageQuota(profile),
+    loadShardCounts(profile.id, day),
+    loadQuotaOverride(profile.id)
+  ]);
+  return { brand: profile.id, day, limit, used: sum(counts), override };
+}
+
+// Reserves `count` images from today's quota, on a random shard, before they
+// are generated. Returns the reservation to release if generation fails.
+async function reserveImages(profile, count) {
+  const day = utcDay();
+  const shard = crypto.randomInt(QUOTA_SHARDS);
+  try {
+    const [limit, counts] = await Promise.all([
+      getDailyImageQuota(profile),
+      loadShardCounts(profile.id, day)
+    ]);
+    const otherShards = sum(counts) - counts[shard];
+
+    await getStore().updateJson(dailyQuotaKey(profile.id, day, shard), (usage) => {
+      if (otherShards + usage.count + count > limit) {
+        throw new AppError('DAILY_QUOTA_EXCEEDED', {
+          retryAfter: secondsUntilUtcMidnight(),
+          details: { limit, used: otherShards + usage.count }
+        });
+      }
+      usage.count += count;
+      return usage;
+    }, { initial: { count: 0 } });
+  } catch (error) {
+    if (error instanceof AppError && error.code === 'DAILY_QUOTA_EXCEEDED') {
+      throw error;
+    }
+    console.error(`Daily quota for ${profile.id} not checked:`, error.message);
+    return null;
+  }
+  return { brand: profile.id, day, shard, count };
+}
+
+// Best effort: a failed refund only costs the brand a few images of quota
+async function releaseImages(reservation) {
+  if (!reservation) {
+    return;
+  }
+  try {
+    await getStore().updateJson(dailyQuotaKey(reservation.brand, reservation.day, reservation.shard), (usage) => {
+      usage.count = Math.max(0, usage.count - reservation.count);
+      return usage;
+    }, { initial: { count: 0 } });
+  } catch (error) {
+    console.error(`Could not release quota for ${reservation.brand}:`, error.message);
+  }
+}
+
+async function setQuotaOverride(brand, { dailyImageQuota, expiresAt = null, reason = null }) {
+  const override = { dailyImageQuota, expiresAt, reason, updatedAt: new Date().toISOString() };
+  await getStore().putJson(quotaOverrideKey(brand), override);
+  return override;
+}
+
+function clearQuotaOverride(brand) {
+  return getStore().delete(quotaOverrideKey(brand));
+}
+
+module.exports = {
+  RATE_LIMITS,
+  clientIp,
+  enforceRateLimit,
+  getQuotaUsage,
+  reserveImages,
+  releaseImages,
+  setQuotaOverride,
+  clearQuotaOverride
+};
@@ -0,0 +1,117 @@
+// lib/references.js - Reference image roles and how their analyses feed the design
+const crypto = require('crypto');
+
+const MAX_REFERENCE_IMAGES = 5;
+const DEFAULT_ROLE = 'overall style';
+const ANALYSIS_MODEL = 'claude-sonnet-4-20250514';
+
+// Bump REFERENCE_ANALYSIS_CACHE_VERSION to discard every cached analysis at once
+const ANALYSIS_CACHE_VERSION = process.env.REFERENCE_ANALYSIS_CACHE_VERSION || '1';
+
+// Each role narrows what Claude looks at and how the result is used in the prompt
+const REFERENCE_ROLES = {
+  'overall style': {
+    system: 'Analyze jewelry images focusing on: type, materials, style, setting types, color scheme, and aesthetic. Keep descriptions concise but detailed for photography generation.',
+    instruction: 'Analyze this jewelry image for photography generation purposes.',
+    usage: 'overall style and aesthetic inspired by'
+  },
+  stone: {
+    system: 'Analyze only the gemstones in jewelry images: stone type, color, cut/shape, approximate proportions, and how many stones there are. Ignore the band and background. Be concise.',
+    instruction: 'Describe the stone in this image so it can be reproduced in a new design.',
+    usage: 'center stone shape and cut taken from'
+  },
+  band: {
+    system: 'Analyze only the band or shank in jewelry images: width, profile, taper, metal color, finish, and any accent stones along it. Ignore the center stone. Be concise.',
+    instruction: 'Describe the band style in this image so it can be reproduced in a new design.',
+    usage: 'band style taken from'
+  },
+  setting: {
+    system: 'Analyze only the setting in jewelry images: setting type (prong, bezel, halo, etc.), prong count and shape, gallery, and how the stone sits. Be concise.',
+    instruction: 'Describe the setting in this image so it can be reproduced in a new design.',
+    usage: 'setting style taken from'
+  },
+  sketch: {
+    system: `You interpret hand-drawn jewelry sketches for a jeweler. Read the drawing literally: do not invent details that are not drawn or written on it. Reply with only a JSON object with these keys:
+- "isSketch": false if the image is a photograph or render rather than a drawing, otherwise true
+- "jewelryType": the kind of piece drawn
+- "silhouette": the overall outline and shape of the piece
+- "proportions": relative sizes, e.g. stone width vs band width, setting height
+- "stonePlacement": array describing every stone drawn, with position, shape and relative size
+- "bandDetails": band or chain shape, width and any drawn texture
+- "annotations": any handwritten notes or labels, transcribed
+- "uncertainties": anything ambiguous in the drawing the jeweler should confirm`,
+    instruction: 'Interpret this hand-drawn jewelry sketch.',
+    usage: 'design drawn in the customer sketch'
+  },
+  engraving: {
+    system: 'Analyze only the engraving or surface pattern in jewelry images: motif, placement, depth and style (hand engraved, milgrain, filigree). Be concise.',
+    instruction: 'Describe the engraving or surface detail in this image so it can be reproduced in a new design.',
+    usage: 'engraving detail taken from'
+  }
+};
+
+// Accepts "overall style", "overall_style", "Stone", ... and returns the canonical key
+function normalizeRole(role) {
+  if (!role) {
+    return DEFAULT_ROLE;
+  }
+
+  const key = role.toString().trim().toLowerCase().replace(/[_-]+/g, ' ');
+  return REFERENCE_ROLES[key] ? key : null;
+}
+
+// Roles arrive as a JSON array (or comma-separated list) aligned with the uploads
+function parseRoleList(rawRoles) {
+  if (Array.isArray(rawRoles)) {
+    return rawRoles;
+  }
+  if (typeof rawRoles !== 'string' || !rawRoles.trim()) {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(rawRoles);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {
+    return rawRoles.split(',');
+  }
+}
+
+function getRolePrompts(role) {
+  return REFERENCE_ROLES[role] || REFERENCE_ROLES[DEFAULT_ROLE];
+}
+
+function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Cached analyses are keyed by role plus a fingerprint of the model and prompt
+// wording, so changing either one invalidates old entries automatically.
+function analysisCacheKey(role) {
+  const { system, instruction } = getRolePrompts(role);
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update([ANALYSIS_CACHE_VERSION, ANALYSIS_MODEL, system, instruction].join('|'))
+    .digest('hex')
+    .slice(0, 16);
+  return `${role}:${fingerprint}`;
+}
+
+// Merge per-role analyses into one description for the image prompt
+function mergeReferenceAnalyses(references) {
+  return references
+    .map(({ role, analysis }) => `${getRolePrompts(role).usage}: ${analysis}`)
+    .join('; ');
+}
+
+module.exports = {
+  MAX_REFERENCE_IMAGES,
+  ANALYSIS_MODEL,
+  REFERENCE_ROLES,
+  normalizeRole,
+  parseRoleList,
+  getRolePrompts,
+  hashContent,
+  analysisCacheKey,
+  mergeReferenceAnalyses
+};
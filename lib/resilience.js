@@ -0,0 +1,196 @@
+// lib/resilience.js - Retries with jittered backoff and per-dependency circuit breakers
+//
+// Wrap every call to an external service in callDependency(name, operation):
+// transient failures are retried a bounded number of times, and once a
+// dependency keeps failing its breaker opens so later calls fail fast with a
+// CircuitOpenError until the cooldown has passed.
+const Anthropic = require('@anthropic-ai/sdk');
+
+// 529 is Anthropic's "overloaded" status
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 4000
+};
+
+const DEFAULT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+};
+
+class CircuitOpenError extends Error {
+  constructor(dependency, retryAfterMs) {
+    super(`${dependency} is unavailable (circuit open)`);
+    this.name = 'CircuitOpenError';
+    this.dependency = dependency;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Cloud Storage's ApiError carries the HTTP status in a numeric `code`
+// (network errors use string codes like ECONNRESET instead)
+function errorStatus(error) {
+  return error?.status
+    || error?.response?.status
+    || (typeof error?.code === 'number' ? error.code : null);
+}
+
+// Failures that say nothing about our request: overload, rate limits,
+// upstream 5xx and dropped connections. These are retried and trip breakers.
+function isTransientError(error) {
+  if (!error) {
+    return false;
+  }
+  if (RETRYABLE_STATUSES.includes(errorStatus(error))) {
+    return true;
+  }
+  if (RETRYABLE_NETWORK_CODES.includes(error.code)) {
+    return true;
+  }
+  // The Anthropic SDK reports dropped connections and timeouts without a status
+  return error instanceof Anthropic.APIConnectionError;
+}
+
+function retryAfterMs(error) {
+  const headers = error?.headers || error?.response?.headers;
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  const seconds = parseFloat(value);
+  return Number.isNaN(seconds) ? null : seconds * 1000;
+}
+
+// "Full jitter": a random delay up to the exponential cap, so many clients
+// retrying the same outage don't all hit the service at once.
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function withRetry(operation, options = {}) {
+  const { retries, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const isRetryable = options.isRetryable || isTransientError;
+  const label = options.label || 'operation';
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      // A server asking us to wait longer than we are willing to is a
+      // failure for this request; the caller passes the hint on instead.
+      const requested = retryAfterMs(error);
+      if (requested !== null && requested > maxDelayMs) {
+        throw error;
+      }
+
+      const delay = Math.max(requested || 0, backoffDelay(attempt, { baseDelayMs, maxDelayMs }));
+      console.warn(`${label} failed (${errorStatus(error) || error.code || error.name}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULT_BREAKER_OPTIONS, ...options };
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  // After the cooldown one trial call is let through ("half open"); its
+  // outcome decides whether the breaker closes again or stays open.
+  canAttempt() {
+    if (this.state !== 'open') {
+      return true;
+    }
+    if (Date.now() - this.openedAt >= this.options.resetTimeoutMs) {
+      this.state = 'half-open';
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.options.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`Circuit for ${this.name} opened after ${this.failures} failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  async execute(operation, isFailure = isTransientError) {
+    if (!this.canAttempt()) {
+      throw new CircuitOpenError(this.name, this.options.resetTimeoutMs - (Date.now() - this.openedAt));
+    }
+
+    try {
+      const result = await operation();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      // Our own bad requests (4xx) say nothing about the dependency's health
+      if (isFailure(error)) {
+        this.recordFailure();
+      } else if (this.state === 'half-open') {
+        this.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  snapshot() {
+    return { name: this.name, state: this.state, failures: this.failures, openedAt: this.openedAt };
+  }
+}
+
+// Breakers live for the lifetime of the (warm) function instance
+const breakers = new Map();
+
+function getCircuitBreaker(dependency, options) {
+  if (!breakers.has(dependency)) {
+    breakers.set(dependency, new CircuitBreaker(dependency, options));
+  }
+  return breakers.get(dependency);
+}
+
+// Retries run inside the breaker, so one exhausted call counts as one failure
+function callDependency(dependency, operation, options = {}) {
+  const breaker = getCircuitBreaker(dependency, options.breaker);
+  return breaker.execute(
+    () => withRetry(operation, { label: dependency, ...options }),
+    options.isFailure
+  );
+}
+
+function getCircuitStates() {
+  return [...breakers.values()].map(breaker => breaker.snapshot());
+}
+
+module.exports = {
+  CircuitOpenError,
+  isTransientError,
+  withRetry,
+  callDependency,
+  getCircuitBreaker,
+  getCircuitStates
+};
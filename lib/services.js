@@ -0,0 +1,67 @@
+// lib/services.js - Lazily created clients for external services, with offline fakes
+//
+// Clients are created on first use so a handler can be imported without
+// credentials. OFFLINE_MODE=true swaps every service for its local fake;
+// OFFLINE_FAKES=storage,hubspot swaps only the listed ones. Object storage
+// lives in lib/storage, which picks its backend from the same switch.
+
+const FAKEABLE_SERVICES = ['anthropic', 'vertex', 'storage', 'hubspot'];
+
+const clients = {};
+
+function isFaked(service) {
+  if (process.env.OFFLINE_MODE === 'true') {
+    return true;
+  }
+  const fakes = (process.env.OFFLINE_FAKES || '').split(',').map(name => name.trim());
+  return fakes.includes(service);
+}
+
+function parseServiceAccountKey() {
+  if (!process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
+    throw new Error('GOOGLE_SERVICE_ACCOUNT_KEY is not set (use OFFLINE_MODE=true to run without it)');
+  }
+  const keyJson = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
+  keyJson.private_key = keyJson.private_key.replace(/\\n/g, "\n");
+  return keyJson;
+}
+
+// Retries are handled by lib/resilience, so the SDK's own are turned off
+function getAnthropic() {
+  if (!clients.anthropic) {
+    if (isFaked('anthropic')) {
+      const { FakeAnthropic } = require('./offline/anthropic');
+      clients.anthropic = new FakeAnthropic();
+    } else {
+      const Anthropic = require('@anthropic-ai/sdk');
+      clients.anthropic = new Anthropic({
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        maxRetries: 0
+      });
+    }
+  }
+  return clients.anthropic;
+}
+
+function getHubSpot() {
+  if (!clients.hubspot) {
+    if (isFaked('hubspot')) {
+      const { FakeHubSpotClient } = require('./offline/hubspot');
+      clients.hubspot = new FakeHubSpotClient();
+    } else {
+      const hubspot = require('@hubspot/api-client');
+      clients.hubspot = new hubspot.Client({
+        accessToken: process.env.HUBSPOT_ACCESS_TOKEN
+      });
+    }
+  }
+  return clients.hubspot;
+}
+
+module.exports = {
+  FAKEABLE_SERVICES,
+  isFaked,
+  parseServiceAccountKey,
+  getAnthropic,
+  getHubSpot
+};
@@ -0,0 +1,196 @@
+// lib/sessions.js - Server-side design sessions kept in the storage bucket
+//
+// A session holds everything the assistant needs for the next turn: the
+// conversation exactly as Claude saw it, every generated image with the image
+// it was refined from, and the reference images the customer uploaded.
+// Clients only send the session id and their new message, so the history
+// Claude receives can't be rewritten from the browser. Long conversations
+// also carry the summary of their older turns built by lib/history.
+const crypto = require('crypto');
+const { AppError } = require('./errors');
+const { getStore } = require('./storage');
+const { sessionKey } = require('./storage/keys');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const TITLE_LENGTH = 80;
+
+// The id is the only thing needed to read or continue a session, so it must
+// not be guessable.
+function generateSessionId() {
+  return `session_${Date.now()}_${crypto.randomBytes(12).toString('base64url')}`;
+}
+
+function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+function createSessionRecord(brand, locale) {
+  const now = new Date().toISOString();
+  return {
+    id: generateSessionId(),
+    brand,
+    locale,
+    createdAt: now,
+    updatedAt: now,
+    turns: [],
+    images: [],
+    references: [],
+    designSpec: null,
+    currentImage: null,
+    refinementCount: 0,
+    summary: null,
+    // { shareId, title, remixedAt } when the session was forked from a share
+    remixedFrom: null
+  };
+}
+
+async function saveSession(session) {
+  session.updatedAt = new Date().toISOString();
+  await getStore().putJson(sessionKey(session.id), session);
+  return session;
+}
+
+async function loadSession(sessionId) {
+  if (!isValidSessionId(sessionId)) {
+    return null;
+  }
+  return getStore().getJson(sessionKey(sessionId));
+}
+
+// Turns of the same session may finish concurrently (e.g. an async job and a
+// follow-up), so changes are applied with a conditional read-modify-write.
+function updateSession(sessionId, update) {
+  return getStore().updateJson(sessionKey(sessionId), (session) => {
+    if (!session) {
+      throw new AppError('NOT_FOUND', { message: 'This design session no longer exists.' });
+    }
+    update(session);
+    session.updatedAt = new Date().toISOString();
+    return session;
+  });
+}
+
+function deleteSession(sessionId) {
+  return getStore().delete(sessionKey(sessionId));
+}
+
+// Stored images from one generation. `parent` is the filename they were
+// refined from, which is what getImageLineage follows back; the first image
+// becomes the base for the next refinement.
+function recordImages(session, images, options = {}) {
+  const { designSpec = null, parent = null, variantGroupId = null, turn = null } = options;
+  const now = new Date().toISOString();
+
+  images.forEach(({ filename, publicUrl, renditions = [], view = null }, variantIndex) => {
+    session.images.push({
+      filename,
+      publicUrl,
+      renditions,
+      designSpec,
+      parent,
+      variantIndex,
+      variantGroupId,
+      view,
+      turn,
+      createdAt: now
+    });
+  });
+
+  if (images.length > 0) {
+    session.currentImage = { filename: images[0].filename, publicUrl: images[0].publicUrl };
+    session.designSpec = designSpec;
+  }
+  return session;
+}
+
+// Appends one completed exchange with the images and references it produced
+function recordTurn(session, turn) {
+  const {
+    userContent,
+    assistantContent,
+    images = [],
+    references = [],
+    designSpec = null,
+    parent = null,
+    variantGroupId = null,
+    isRefinement = false,
+    locale = null,
+    summary = null
+  } = turn;
+  const now = new Date().toISOString();
+  const assistantTurn = session.turns.length + 1;
+
+  session.turns.push(
+    { role: 'user', content: userContent, createdAt: now },
+    { role: 'assistant', content: assistantContent, createdAt: now }
+  );
+
+  references.forEach(({ hash, filename, publicUrl, role }) => {
+    session.references.push({ hash, filename, publicUrl, role, turn: assistantTurn - 1, createdAt: now });
+  });
+
+  recordImages(session, images, { designSpec, parent, variantGroupId, turn: assistantTurn });
+  if (isRefinement) {
+    session.refinementCount++;
+  }
+  if (locale) {
+    session.locale = locale;
+  }
+  // A concurrent turn may already have stored a brief covering more turns
+  if (summary && summary.summarizedTurns > (session.summary?.summarizedTurns || 0)) {
+    session.summary = summary;
+  }
+  return session;
+}
+
+function selectCurrentImage(session, image) {
+  const known = session.images.find(({ filename }) => filename === image.filename);
+  if (known) {
+    session.currentImage = { filename: known.filename, publicUrl: known.publicUrl };
+    session.designSpec = known.designSpec;
+  }
+  return session;
+}
+
+// The chain of images a design went through, oldest first
+function getImageLineage(session, filename) {
+  const byFilename = new Map(session.images.map(image => [image.filename, image]));
+  const lineage = [];
+  let current = byFilename.get(filename);
+
+  while (current && !lineage.includes(current)) {
+    lineage.unshift(current);
+    current = current.parent ? byFilename.get(current.parent) : null;
+  }
+  return lineage;
+}
+
+function summarizeSession(session) {
+  const firstMessage = session.turns.find(turn => turn.role === 'user');
+  return {
+    id: session.id,
+    brand: session.brand,
+    locale: session.locale,
+    title: firstMessage ? firstMessage.content.slice(0, TITLE_LENGTH) : null,
+    turnCount: session.turns.filter(turn => turn.role === 'user').length,
+    imageCount: session.images.length,
+    currentImage: session.currentImage,
+    remixedFrom: session.remixedFrom || null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+module.exports = {
+  isValidSessionId,
+  createSessionRecord,
+  saveSession,
+  loadSession,
+  updateSession,
+  deleteSession,
+  recordImages,
+  recordTurn,
+  selectCurrentImage,
+  getImageLineage,
+  summarizeSession
+};
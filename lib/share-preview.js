@@ -0,0 +1,233 @@
+// lib/share-preview.js - Link previews for shared conversations
+//
+// Messaging apps and social networks build their previews from OpenGraph and
+// Twitter meta tags and never run JavaScript, so share links point at a small
+// server-rendered page (api/share-page) that carries those tags and then
+// forwards people to the brand's own share URL. The preview image is a
+// 1200x630 collage of the conversation's latest designs, rendered once and
+// stored next to the share JSON.
+const sharp = require('sharp');
+const { BRAND_PROFILES, DEFAULT_BRAND, getBrandProfile } = require('./brands');
+const { getStore } = require('./storage');
+const { sharePreviewKeyFor } = require('./shares');
+
+const PREVIEW_WIDTH = 1200;
+const PREVIEW_HEIGHT = 630;
+const PREVIEW_GAP = 12;
+const MAX_PREVIEW_IMAGES = 4;
+const DESCRIPTION_LENGTH = 200;
+
+function shareProfile(share) {
+  return getBrandProfile(share.brand) || BRAND_PROFILES[DEFAULT_BRAND];
+}
+
+// PUBLIC_API_URL wins; otherwise the URL this deployment was reached at
+function apiBaseUrl(req) {
+  if (process.env.PUBLIC_API_URL) {
+    return process.env.PUBLIC_API_URL.replace(/\/$/, '');
+  }
+  const proto = (req.headers['x-forwarded-proto'] || (req.socket?.encrypted ? 'https' : 'http')).split(',')[0].trim();
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${proto}://${host}`;
+}
+
+// The link handed out for sharing, and where the page then sends people
+function shareUrls(share, req) {
+  const pageUrl = `${apiBaseUrl(req)}/api/share-page?id=${encodeURIComponent(share.id)}`;
+  const { shareBaseUrl } = shareProfile(share);
+  return {
+    shareUrl: pageUrl,
+    appUrl: shareBaseUrl ? `${shareBaseUrl}${encodeURIComponent(share.id)}` : null
+  };
+}
+
+// Latest designs first; each stored image only once
+function previewImageKeys(share) {
+  const store = getStore();
+  const keys = [];
+  [...share.messages].reverse().forEach(({ role, imageUrl }) => {
+    const key = role === 'assistant' ? store.keyFromPublicUrl(imageUrl) : null;
+    if (key && !keys.includes(key)) {
+      keys.push(key);
+    }
+  });
+  return keys.slice(0, MAX_PREVIEW_IMAGES);
+}
+
+// Tile rectangles for 1 to 4 images: one large, side by side, one large with
+// two stacked, or a 2x2 grid.
+function collageLayout(count) {
+  const half = (PREVIEW_WIDTH - PREVIEW_GAP) / 2;
+  const halfHeight = (PREVIEW_HEIGHT - PREVIEW_GAP) / 2;
+  const right = half + PREVIEW_GAP;
+  const lower = halfHeight + PREVIEW_GAP;
+
+  switch (count) {
+    case 1:
+      return [{ left: 0, top: 0, width: PREVIEW_WIDTH, height: PREVIEW_HEIGHT }];
+    case 2:
+      return [
+        { left: 0, top: 0, width: half, height: PREVIEW_HEIGHT },
+        { left: right, top: 0, width: half, height: PREVIEW_HEIGHT }
+      ];
+    case 3:
+      return [
+        { left: 0, top: 0, width: half, height: PREVIEW_HEIGHT },
+        { left: right, top: 0, width: half, height: halfHeight },
+        { left: right, top: lower, width: half, height: halfHeight }
+      ];
+    default:
+      return [
+        { left: 0, top: 0, width: half, height: halfHeight },
+        { left: right, top: 0, width: half, height: halfHeight },
+        { left: 0, top: lower, width: half, height: halfHeight },
+        { left: right, top: lower, width: half, height: halfHeight }
+      ].slice(0, count);
+  }
+}
+
+async function renderCollage(buffers) {
+  const tiles = collageLayout(buffers.length);
+  const composites = await Promise.all(buffers.map(async (buffer, index) => {
+    const { left, top, width, height } = tiles[index];
+    const tile = await sharp(buffer)
+      .resize(Math.floor(width), Math.floor(height), { fit: 'contain', background: '#ffffff' })
+      .flatten({ background: '#ffffff' })
+      .toBuffer();
+    return { input: tile, left: Math.floor(left), top: Math.floor(top) };
+  }));
+
+  return sharp({
+    create: { width: PREVIEW_WIDTH, height: PREVIEW_HEIGHT, channels: 3, background: '#ffffff' }
+  })
+    .composite(composites)
+    .jpeg({ quality: 85 })
+    .toBuffer();
+}
+
+// Renders and stores the collage unless it already exists. Returns its
+// public URL, or null for shares without designs. Password-protected shares
+// never get one, since the preview would show what the password protects.
+async function ensureSharePreview(share) {
+  if (share.passwordHash) {
+    return null;
+  }
+
+  const store = getStore();
+  const key = sharePreviewKeyFor(share.id);
+  if (await store.exists(key)) {
+    return store.publicUrl(key);
+  }
+
+  const buffers = (await Promise.all(previewImageKeys(share).map(imageKey => store.get(imageKey)))).filter(Boolean);
+  if (buffers.length === 0) {
+    return null;
+  }
+
+  await store.put(key, await renderCollage(buffers), { contentType: 'image/jpeg' });
+  return store.publicUrl(key);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Chat replies use light markdown, which has no place in a preview
+function plainText(text) {
+  return text.replace(/[*_`#>]+/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function describeForPreview(share, profile) {
+  if (share.passwordHash) {
+    return `A password-protected design from ${profile.name}.`;
+  }
+  const reply = [...share.messages].reverse().find(msg => msg.role === 'assistant' && msg.content);
+  const text = reply ? plainText(reply.content) : '';
+  if (!text) {
+    return `A custom jewelry design created with ${profile.name}.`;
+  }
+  return text.length > DESCRIPTION_LENGTH ? `${text.slice(0, DESCRIPTION_LENGTH - 1)}…` : text;
+}
+
+// `previewUrl` may be null. People are forwarded to `appUrl` when the brand
+// has one; crawlers read the tags and stop.
+function renderSharePage(share, { shareUrl, appUrl, previewUrl }) {
+  const profile = shareProfile(share);
+  const title = share.passwordHash ? `A shared design from ${profile.name}` : share.title;
+  const description = describeForPreview(share, profile);
+  const tags = [
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', profile.name],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', shareUrl],
+    ['name', 'twitter:card', previewUrl ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description]
+  ];
+  if (previewUrl) {
+    tags.push(
+      ['property', 'og:image', previewUrl],
+      ['property', 'og:image:width', String(PREVIEW_WIDTH)],
+      ['property', 'og:image:height', String(PREVIEW_HEIGHT)],
+      ['property', 'og:image:alt', title],
+      ['name', 'twitter:image', previewUrl]
+    );
+  }
+
+  const meta = tags
+    .map(([attribute, name, content]) => `  <meta ${attribute}="${name}" content="${escapeHtml(content)}">`)
+    .join('\n');
+  const redirect = appUrl ? `  <meta http-equiv="refresh" content="0; url=${escapeHtml(appUrl)}">\n` : '';
+  const body = appUrl
+    ? `<p><a href="${escapeHtml(appUrl)}">Open this design</a></p>`
+    : `${previewUrl ? `<img src="${escapeHtml(previewUrl)}" alt="${escapeHtml(title)}" width="600">\n` : ''}<p>${escapeHtml(description)}</p>`;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(share.locale || 'en')}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+${meta}
+${redirect}</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>
+`;
+}
+
+// For links that are gone; still a page so previews don't show an error body
+function renderUnavailablePage(message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="robots" content="noindex">
+  <title>Design unavailable</title>
+  <meta property="og:title" content="Design unavailable">
+  <meta property="og:description" content="${escapeHtml(message)}">
+</head>
+<body>
+<p>${escapeHtml(message)}</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  PREVIEW_WIDTH,
+  PREVIEW_HEIGHT,
+  shareUrls,
+  ensureSharePreview,
+  renderSharePage,
+  renderUnavailablePage
+};
@@ -0,0 +1,751 @@
+// lib/shares.js - Shared conversation records and their lifecycle
+//
+// A share is a snapshot of a conversation behind a link. The creator picks
+// how long it lives (or forever), may protect it with a password and decides
+// whether others may remix it. They also get a delete token, the only way to
+// take the link down again; it is shown once and only its hash is kept, like
+// the password. Removed links stay as tombstones until sweepShares deletes
+// them together with the images nothing else uses.
+//
+// Records are stored under an HMAC of the share ID (SHARE_RECORD_SECRET):
+// the bucket is publicly readable and share IDs travel in links, so a record
+// stored under its ID could be read without the password, or after the
+// link was removed.
+//
+// Messages are normalized before they are stored: images embedded as data
+// URLs become objects in the bucket, other image URLs must already point
+// into it, and only known metadata fields are kept.
+//
+// Remixable shares can be forked into a new session owned by whoever opened
+// them; the session remembers the share it came from and the share counts
+// its remixes.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const sharp = require('sharp');
+const { AppError } = require('./errors');
+const { visibleToBrand } = require('./api-keys');
+const { resolveBrandProfile } = require('./brands');
+const { getStore, PreconditionFailedError } = require('./storage');
+const { validateDesignSpec } = require('./design-spec');
+const { createSessionRecord, saveSession, recordImages } = require('./sessions');
+const {
+  SESSIONS_PREFIX,
+  SHARED_CONVERSATIONS_PREFIX,
+  sharedConversationKey,
+  legacySharedConversationKey,
+  sharePreviewKey,
+  shareSweepKey,
+  sharedImageKey,
+  isImageKey,
+  isGeneratedImageKey
+} = require('./storage/keys');
+
+const scrypt = promisify(crypto.scrypt);
+
+const DEFAULT_SHARE_DAYS = 30;
+const MAX_SHARE_DAYS = 365;
+const PASSWORD_MIN_LENGTH = 4;
+const PASSWORD_MAX_LENGTH = 128;
+const SHARE_ID_PATTERN = /^share_\d+_[A-Za-z0-9_-]{6,32}$/;
+
+// The sweep reads records a page at a time, a few in parallel, and hands
+// back a sweepId to continue with once a call has used its time budget
+const SWEEP_PAGE_SIZE = 100;
+const SWEEP_CONCURRENCY = 8;
+const SWEEP_TIME_BUDGET_MS = 20 * 1000;
+const SWEEP_ID_PATTERN = /^sweep_\d+_[A-Za-z0-9_-]{8}$/;
+
+const SHARE_ROLES = ['user', 'assistant'];
+const MAX_SHARE_MESSAGES = 200;
+const MAX_MESSAGE_CHARS = 10000;
+const MAX_TITLE_CHARS = 200;
+// The stored JSON, and the embedded images that are moved out of it
+const MAX_SHARE_JSON_BYTES = 512 * 1024;
+const MAX_SHARE_IMAGE_BYTES = 8 * 1024 * 1024;
+
+const DATA_URL_PATTERN = /^data:(image\/[a-z+.-]+);base64,([A-Za-z0-9+/=\s]+)$/;
+const SHARED_IMAGE_FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+function generateShareId() {
+  return `share_${Date.now()}_${crypto.randomBytes(12).toString('base64url')}`;
+}
+
+function isValidShareId(shareId) {
+  return typeof shareId === 'string' && SHARE_ID_PATTERN.test(shareId);
+}
+
+// Local backends get a fixed secret so offline runs need no configuration
+function shareRecordSecret() {
+  if (process.env.SHARE_RECORD_SECRET) {
+    return process.env.SHARE_RECORD_SECRET;
+  }
+  if (getStore().backendName !== 'gcs') {
+    return 'local-share-records';
+  }
+  throw new Error('SHARE_RECORD_SECRET is not set');
+}
+
+function secretId(value) {
+  return crypto.createHmac('sha256', shareRecordSecret()).update(value).digest('hex');
+}
+
+function shareRecordKey(shareId) {
+  return sharedConversationKey(secretId(shareId));
+}
+
+// The preview's URL is published, so it must not lead to the record
+function sharePreviewKeyFor(shareId) {
+  return sharePreviewKey(secretId(`preview:${shareId}`));
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hashesMatch(actualHex, expectedHex) {
+  const actual = Buffer.from(actualHex, 'hex');
+  const expected = Buffer.from(expectedHex || '', 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = await scrypt(password, salt, 32);
+  return { salt, hash: hash.toString('hex') };
+}
+
+// `expiresInDays` is a number of days or 'never'; anything else is rejected
+function resolveShareExpiry(expiresInDays, now = Date.now()) {
+  if (expiresInDays === undefined || expiresInDays === null || expiresInDays === '') {
+    return new Date(now + DEFAULT_SHARE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+  if (expiresInDays === 'never') {
+    return null;
+  }
+
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_SHARE_DAYS) {
+    throw new AppError('INVALID_REQUEST', {
+      message: `expiresInDays must be between 1 and ${MAX_SHARE_DAYS}, or "never".`
+    });
+  }
+  return new Date(now + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function validatePassword(password) {
+  if (password === undefined || password === null || password === '') {
+    return null;
+  }
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+    throw new AppError('INVALID_REQUEST', {
+      message: `Share passwords must be ${PASSWORD_MIN_LENGTH} to ${PASSWORD_MAX_LENGTH} characters long.`
+    });
+  }
+  return password;
+}
+
+// Keys of the images in our bucket a conversation shows, so the sweep knows
+// what the share was holding on to. Embedded data and foreign URLs are skipped.
+function collectImageKeys(messages) {
+  const store = getStore();
+  const keys = new Set();
+  const add = (url) => {
+    const key = store.keyFromPublicUrl(url);
+    if (key) {
+      keys.add(key);
+    }
+  };
+
+  messages.forEach(({ imageUrl, metadata }) => {
+    add(imageUrl);
+    add(metadata?.publicUrl);
+    (metadata?.renditions || []).forEach(rendition => add(rendition?.publicUrl));
+  });
+  return [...keys];
+}
+
+// Decodes an embedded image and checks it really is one of the formats we
+// serve; the key comes from its bytes, so it is known before it is stored.
+async function decodeDataUrl(dataUrl, storagePrefix) {
+  const match = DATA_URL_PATTERN.exec(dataUrl);
+  if (!match) {
+    return null;
+  }
+
+  const buffer = Buffer.from(match[2], 'base64');
+  let format;
+  try {
+    ({ format } = await sharp(buffer).metadata());
+  } catch (error) {
+    return null;
+  }
+  if (!SHARED_IMAGE_FORMATS[format]) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const extension = format === 'jpeg' ? 'jpg' : format;
+  return { key: sharedImageKey(hash, extension, storagePrefix), buffer, contentType: SHARED_IMAGE_FORMATS[format] };
+}
+
+// Resolves one image URL from a message to a URL in our bucket. Returns
+// { url } or { error }; data URLs also return the image to upload. Only the
+// brand's own images qualify, never other objects that happen to be public.
+async function normalizeImageUrl(url, storagePrefix) {
+  if (url === undefined || url === null || url === '') {
+    return { url: null };
+  }
+  if (typeof url !== 'string') {
+    return { error: 'must be a string' };
+  }
+
+  const store = getStore();
+  if (url.startsWith('data:')) {
+    const image = await decodeDataUrl(url, storagePrefix);
+    return image
+      ? { url: store.publicUrl(image.key), image }
+      : { error: 'is not a PNG, JPEG or WebP image' };
+  }
+
+  const key = store.keyFromPublicUrl(url);
+  if (!isImageKey(key, storagePrefix) || !(await store.exists(key))) {
+    return { error: 'must be an image created by the design assistant' };
+  }
+  return { url: store.publicUrl(key) };
+}
+
+// Only the fields a shared conversation shows are kept from client metadata
+async function normalizeMetadata(metadata, storagePrefix, errors, label) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return { metadata: null, images: [] };
+  }
+
+  const images = [];
+  const normalized = {};
+
+  if (metadata.publicUrl) {
+    const result = await normalizeImageUrl(metadata.publicUrl, storagePrefix);
+    if (result.error) {
+      errors.push(`${label}.metadata.publicUrl ${result.error}`);
+    } else {
+      normalized.publicUrl = result.url;
+      normalized.filename = getStore().keyFromPublicUrl(result.url);
+      if (result.image) {
+        images.push(result.image);
+      }
+    }
+  }
+
+  if (Array.isArray(metadata.renditions)) {
+    normalized.renditions = [];
+    for (const rendition of metadata.renditions) {
+      const result = await normalizeImageUrl(rendition?.publicUrl, storagePrefix);
+      // Renditions are a convenience, so ones we don't host are just dropped
+      if (result.url && !result.image) {
+        const { size, width, height, format, contentType } = rendition;
+        normalized.renditions.push({ size, width, height, format, contentType, publicUrl: result.url });
+      }
+    }
+  }
+
+  if (metadata.designSpec) {
+    const validation = validateDesignSpec(metadata.designSpec);
+    normalized.designSpec = validation.valid ? validation.spec : null;
+  }
+  if (typeof metadata.locale === 'string') {
+    normalized.locale = metadata.locale;
+  }
+  if (typeof metadata.isRefinement === 'boolean') {
+    normalized.isRefinement = metadata.isRefinement;
+  }
+  if (Number.isInteger(metadata.refinementCount)) {
+    normalized.refinementCount = metadata.refinementCount;
+  }
+
+  return { metadata: Object.keys(normalized).length > 0 ? normalized : null, images };
+}
+
+// Validates the conversation a client wants to share and rewrites its image
+// URLs into our bucket. Returns the messages to store and the embedded images
+// createShare has to upload; all problems are reported together.
+async function normalizeShareMessages(messages, options = {}) {
+  const { storagePrefix = '' } = options;
+
+  if (!Array.isArray(messages)) {
+    throw new AppError('INVALID_REQUEST', { message: 'conversationHistory must be an array of messages.' });
+  }
+  if (messages.length > MAX_SHARE_MESSAGES) {
+    throw new AppError('SHARE_TOO_LARGE', {
+      message: `Only the last ${MAX_SHARE_MESSAGES} messages of a conversation can be shared.`,
+      details: { maxMessages: MAX_SHARE_MESSAGES }
+    });
+  }
+
+  const errors = [];
+  const images = new Map();
+  const normalized = [];
+
+  for (const [index, msg] of messages.entries()) {
+    const label = `conversationHistory[${index}]`;
+    if (!msg || typeof msg !== 'object') {
+      errors.push(`${label} must be an object`);
+      continue;
+    }
+    if (!SHARE_ROLES.includes(msg.role)) {
+      errors.push(`${label}.role must be one of: ${SHARE_ROLES.join(', ')}`);
+    }
+    const content = msg.content ?? '';
+    if (typeof content !== 'string') {
+      errors.push(`${label}.content must be text`);
+    } else if (content.length > MAX_MESSAGE_CHARS) {
+      errors.push(`${label}.content must be at most ${MAX_MESSAGE_CHARS} characters`);
+    }
+
+    const imageUrl = await normalizeImageUrl(msg.imageUrl, storagePrefix);
+    if (imageUrl.error) {
+      errors.push(`${label}.imageUrl ${imageUrl.error}`);
+    }
+    const { metadata, images: metadataImages } = await normalizeMetadata(msg.metadata, storagePrefix, errors, label);
+    // Chat replies embed the image they also stored, so the stored copy is used
+    if (imageUrl.image && metadata?.publicUrl && !metadataImages.length) {
+      imageUrl.url = metadata.publicUrl;
+      imageUrl.image = null;
+    }
+    [imageUrl.image, ...metadataImages].filter(Boolean).forEach(image => images.set(image.key, image));
+
+    const timestamp = typeof msg.timestamp === 'string' && !Number.isNaN(Date.parse(msg.timestamp))
+      ? new Date(msg.timestamp).toISOString()
+      : new Date().toISOString();
+
+    normalized.push({ role: msg.role, content, timestamp, imageUrl: imageUrl.url || null, metadata });
+  }
+
+  if (errors.length > 0) {
+    throw new AppError('INVALID_REQUEST', {
+      message: 'Some messages in this conversation cannot be shared.',
+      details: { validationErrors: errors }
+    });
+  }
+
+  const imageBytes = [...images.values()].reduce((total, { buffer }) => total + buffer.length, 0);
+  if (imageBytes > MAX_SHARE_IMAGE_BYTES) {
+    throw new AppError('SHARE_TOO_LARGE', { details: { maxImageBytes: MAX_SHARE_IMAGE_BYTES } });
+  }
+
+  return { messages: normalized, images: [...images.values()] };
+}
+
+function normalizeTitle(title) {
+  return typeof title === 'string' && title.trim()
+    ? title.trim().slice(0, MAX_TITLE_CHARS)
+    : 'Jewelry Design Conversation';
+}
+
+// Returns the stored record and the delete token, which is never stored.
+// `images` are the embedded images from normalizeShareMessages; they are
+// only uploaded once the share is known to fit.
+async function createShare(conversation, options = {}) {
+  const { brand = null, expiresInDays, password, remixable = true, images = [] } = options;
+  const expiresAt = resolveShareExpiry(expiresInDays);
+  const checkedPassword = validatePassword(password);
+  const deleteToken = crypto.randomBytes(24).toString('base64url');
+
+  const share = {
+    id: generateShareId(),
+    brand,
+    ...conversation,
+    imageKeys: collectImageKeys(conversation.messages),
+    remixable: remixable !== false && remixable !== 'false',
+    passwordHash: checkedPassword ? await hashPassword(checkedPassword) : null,
+    deleteTokenHash: hashToken(deleteToken),
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    revokedAt: null,
+    viewCount: 0,
+    lastViewedAt: null,
+    remixCount: 0,
+    lastRemixedAt: null
+  };
+
+  if (Buffer.byteLength(JSON.stringify(share)) > MAX_SHARE_JSON_BYTES) {
+    throw new AppError('SHARE_TOO_LARGE', { details: { maxBytes: MAX_SHARE_JSON_BYTES } });
+  }
+
+  const store = getStore();
+  await Promise.all(images.map(({ key, buffer, contentType }) => store.put(key, buffer, { contentType })));
+  await store.putJson(shareRecordKey(share.id), share, { ifGenerationMatch: 0 });
+  return { share, deleteToken };
+}
+
+// Shares stored under their ID are moved to their record key on first use
+async function migrateLegacyShare(store, shareId, key) {
+  const legacyKey = legacySharedConversationKey(shareId);
+  const share = await store.getJson(legacyKey);
+  if (!share) {
+    return null;
+  }
+  try {
+    await store.putJson(key, share, { ifGenerationMatch: 0 });
+  } catch (error) {
+    if (!(error instanceof PreconditionFailedError)) {
+      throw error;
+    }
+  }
+  await store.delete(legacyKey);
+  return store.getJson(key);
+}
+
+async function loadShare(shareId) {
+  if (!isValidShareId(shareId)) {
+    return null;
+  }
+  const store = getStore();
+  const key = shareRecordKey(shareId);
+  return (await store.getJson(key)) || migrateLegacyShare(store, shareId, key);
+}
+
+function isShareExpired(share, now = new Date()) {
+  return Boolean(share.expiresAt) && now > new Date(share.expiresAt);
+}
+
+async function loadShareForBrand(shareId, brand = null) {
+  const share = await loadShare(shareId);
+  if (!visibleToBrand(share, brand)) {
+    throw new AppError('NOT_FOUND', { message: 'This shared conversation could not be found.' });
+  }
+  return share;
+}
+
+async function checkSharePassword(share, password) {
+  if (!share.passwordHash) {
+    return true;
+  }
+  if (typeof password !== 'string' || !password) {
+    return false;
+  }
+  const { hash } = await hashPassword(password, share.passwordHash.salt);
+  return hashesMatch(hash, share.passwordHash.hash);
+}
+
+// Loads a share someone wants to see: it must be live and, when protected,
+// unlocked with its password.
+async function openShare(shareId, { brand = null, password } = {}) {
+  const share = await loadShareForBrand(shareId, brand);
+
+  if (share.revokedAt) {
+    throw new AppError('EXPIRED', { message: 'This shared conversation was removed by its creator.' });
+  }
+  if (isShareExpired(share)) {
+    throw new AppError('EXPIRED', { message: 'This shared conversation has expired.' });
+  }
+  if (!(await checkSharePassword(share, password))) {
+    throw new AppError('SHARE_PASSWORD_REQUIRED', password ? { message: 'That password is not correct.' } : {});
+  }
+  return share;
+}
+
+// Counters must never fail the request, so errors are only logged
+async function incrementShareCounter(shareId, counter, timestampField) {
+  try {
+    return await getStore().updateJson(shareRecordKey(shareId), (share) => {
+      if (!share) {
+        throw new AppError('NOT_FOUND');
+      }
+      share[counter] = (share[counter] || 0) + 1;
+      share[timestampField] = new Date().toISOString();
+      return share;
+    });
+  } catch (error) {
+    console.error(`Could not update ${counter} of ${shareId}:`, error.message);
+    return null;
+  }
+}
+
+function recordShareView(shareId) {
+  return incrementShareCounter(shareId, 'viewCount', 'lastViewedAt');
+}
+
+// Claude needs the history to start with the customer and alternate, which
+// a shared conversation doesn't promise: consecutive messages of one role are
+// merged, and leading replies and a trailing unanswered message are dropped.
+function seedTurns(messages, createdAt) {
+  const turns = [];
+  messages.forEach(({ role, content }) => {
+    const text = (content || '').trim();
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      last.content = [last.content, text].filter(Boolean).join('\n\n');
+    } else if (last || role === 'user') {
+      turns.push({ role, content: text, createdAt });
+    }
+  });
+  if (turns.length > 0 && turns[turns.length - 1].role === 'user') {
+    turns.pop();
+  }
+
+  turns.forEach((turn) => {
+    turn.content = turn.content || (turn.role === 'assistant' ? 'Here is the updated design.' : 'Shared an image.');
+  });
+  return turns;
+}
+
+// Forks a share into a new saved session for `profile`: its conversation
+// becomes the history and its designs the session's images, the last one
+// being the base for the next refinement.
+async function remixShare(share, profile) {
+  if (!share.remixable) {
+    throw new AppError('FORBIDDEN', { message: 'The creator of this design has not allowed remixes.' });
+  }
+
+  const now = new Date().toISOString();
+  const session = createSessionRecord(profile.id, share.locale || null);
+  session.turns = seedTurns(share.messages, now);
+  session.remixedFrom = { shareId: share.id, title: share.title, remixedAt: now };
+
+  // Images the sweep already removed are left out
+  const store = getStore();
+  const recorded = new Set();
+  for (const { role, imageUrl, metadata } of share.messages) {
+    const key = role === 'assistant' ? store.keyFromPublicUrl(imageUrl) : null;
+    if (!key || recorded.has(key) || !(await store.exists(key))) {
+      continue;
+    }
+    recorded.add(key);
+    // Shared renditions only carry their URL; sessions track them by key
+    const renditions = (metadata?.renditions || []).map(rendition => ({
+      ...rendition,
+      filename: store.keyFromPublicUrl(rendition.publicUrl)
+    }));
+    recordImages(session, [{
+      filename: key,
+      publicUrl: store.publicUrl(key),
+      renditions
+    }], { designSpec: metadata?.designSpec || null });
+  }
+
+  // Images embedded in the share, or made for another brand, stay in the
+  // history but can't be refined, so the base is the latest generated one
+  const base = [...session.images].reverse().find(({ filename }) => isGeneratedImageKey(filename, profile.storagePrefix));
+  session.currentImage = base ? { filename: base.filename, publicUrl: base.publicUrl } : null;
+  session.designSpec = base ? base.designSpec : null;
+
+  await saveSession(session);
+  await incrementShareCounter(share.id, 'remixCount', 'lastRemixedAt');
+  return session;
+}
+
+// The preview goes straight away, so a removed link stops showing the design
+async function revokeShare(shareId, deleteToken) {
+  const store = getStore();
+  const revoked = await store.updateJson(shareRecordKey(shareId), (share) => {
+    if (!share || share.revokedAt) {
+      throw new AppError('NOT_FOUND', { message: 'This shared conversation could not be found.' });
+    }
+    if (typeof deleteToken !== 'string' || !hashesMatch(hashToken(deleteToken), share.deleteTokenHash)) {
+      throw new AppError('FORBIDDEN', { message: 'The delete token does not match this shared conversation.' });
+    }
+    share.revokedAt = new Date().toISOString();
+    return share;
+  });
+  await store.delete(sharePreviewKeyFor(shareId));
+  return revoked;
+}
+
+// What a viewer gets: no hashes, just whether a password was needed
+function describeShare(share) {
+  const { passwordHash, deleteTokenHash, imageKeys, ...description } = share;
+  return { ...description, passwordProtected: Boolean(passwordHash) };
+}
+
+function shareStoragePrefix(share) {
+  return resolveBrandProfile(share.brand).profile?.storagePrefix || '';
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// One page of JSON records under `prefix`, and the cursor for the next page
+// (null after the last one)
+async function readJsonPage(store, prefix, cursor) {
+  const objects = await store.list(prefix, { startAfter: cursor, limit: SWEEP_PAGE_SIZE });
+  const keys = objects.map(({ key }) => key).filter(key => key.endsWith('.json'));
+  const records = await mapWithConcurrency(keys, SWEEP_CONCURRENCY, async key => ({ key, record: await store.getJson(key) }));
+  return {
+    records: records.filter(({ record }) => record),
+    cursor: objects.length === SWEEP_PAGE_SIZE ? objects[objects.length - 1].key : null
+  };
+}
+
+function shareImageKeys(share) {
+  return share.imageKeys || collectImageKeys(share.messages || []);
+}
+
+function sessionImageKeys(session, store) {
+  const keys = [];
+  (session.images || []).forEach(({ filename, renditions = [] }) => {
+    keys.push(filename);
+    // Sessions remixed before renditions got a filename only have the URL
+    renditions.forEach(rendition => keys.push(rendition.filename || store.keyFromPublicUrl(rendition.publicUrl)));
+  });
+  (session.references || []).forEach(({ filename }) => keys.push(filename));
+  return keys;
+}
+
+// Each step handles one page and moves the sweep along:
+//   shares    removes dead shares and notes the images they held
+//   live      drops the images live shares still use from those
+//   sessions  drops the images sessions still use
+//   images    deletes what is left
+const SWEEP_STEPS = {
+  async shares(store, sweep) {
+    const { records, cursor } = await readJsonPage(store, SHARED_CONVERSATIONS_PREFIX, sweep.cursor);
+    const dead = records.filter(({ record }) => isDeadShare(record, sweep));
+    sweep.scannedShares += records.length;
+
+    const candidates = new Set(sweep.candidates);
+    dead.forEach(({ record }) => {
+      sweep.deletedShares.push(record.id);
+      shareImageKeys(record)
+        .filter(key => isImageKey(key, shareStoragePrefix(record)))
+        .forEach(key => candidates.add(key));
+    });
+    sweep.candidates = [...candidates];
+    if (!sweep.dryRun) {
+      await mapWithConcurrency(dead, SWEEP_CONCURRENCY, async ({ key, record }) => {
+        await store.delete(sharePreviewKeyFor(record.id));
+        await store.delete(key);
+      });
+    }
+    advanceSweep(sweep, cursor, 'live');
+  },
+
+  async live(store, sweep) {
+    const { records, cursor } = await readJsonPage(store, SHARED_CONVERSATIONS_PREFIX, sweep.cursor);
+    const inUse = new Set();
+    records
+      .filter(({ record }) => !isDeadShare(record, sweep))
+      .forEach(({ record }) => shareImageKeys(record).forEach(key => inUse.add(key)));
+    sweep.candidates = sweep.candidates.filter(key => !inUse.has(key));
+    advanceSweep(sweep, cursor, 'sessions');
+  },
+
+  async sessions(store, sweep) {
+    const { records, cursor } = await readJsonPage(store, SESSIONS_PREFIX, sweep.cursor);
+    const inUse = new Set();
+    records.forEach(({ record }) => sessionImageKeys(record, store).forEach(key => inUse.add(key)));
+    sweep.candidates = sweep.candidates.filter(key => !inUse.has(key));
+    advanceSweep(sweep, cursor, 'images');
+  },
+
+  async images(store, sweep) {
+    const batch = sweep.candidates.splice(0, SWEEP_PAGE_SIZE);
+    if (!sweep.dryRun) {
+      await mapWithConcurrency(batch, SWEEP_CONCURRENCY, key => store.delete(key));
+    }
+    sweep.deletedImages.push(...batch);
+    if (sweep.candidates.length === 0) {
+      sweep.phase = 'done';
+    }
+  }
+};
+
+function isDeadShare(share, sweep) {
+  return Boolean(share.revokedAt) || isShareExpired(share, new Date(sweep.now));
+}
+
+function advanceSweep(sweep, cursor, nextPhase) {
+  sweep.cursor = cursor;
+  if (!cursor) {
+    sweep.phase = nextPhase;
+  }
+}
+
+async function loadSweep(store, sweepId) {
+  const sweep = typeof sweepId === 'string' && SWEEP_ID_PATTERN.test(sweepId)
+    ? await store.getJson(shareSweepKey(sweepId))
+    : null;
+  if (!sweep) {
+    throw new AppError('NOT_FOUND', { message: 'This sweep could not be found.' });
+  }
+  return sweep;
+}
+
+// Deletes expired and removed shares with their previews, then the images
+// they held that no live share or session still uses. Only keys that are
+// images of the share's brand are ever deleted, whatever the record lists.
+// `dryRun` only reports what would go.
+//
+// A call stops after `timeBudgetMs`; while `done` is false, call again with
+// the returned sweepId to carry on where it stopped.
+async function sweepShares(options = {}) {
+  const { sweepId = null, dryRun = false, now = new Date(), timeBudgetMs = SWEEP_TIME_BUDGET_MS } = options;
+  const store = getStore();
+  const deadline = Date.now() + timeBudgetMs;
+
+  const sweep = sweepId ? await loadSweep(store, sweepId) : {
+    id: `sweep_${Date.now()}_${crypto.randomBytes(6).toString('base64url')}`,
+    dryRun,
+    now: now.toISOString(),
+    phase: 'shares',
+    cursor: null,
+    scannedShares: 0,
+    deletedShares: [],
+    candidates: [],
+    deletedImages: [],
+    startedAt: new Date().toISOString()
+  };
+
+  // At least one step per call, so a sweep always makes progress
+  do {
+    await SWEEP_STEPS[sweep.phase](store, sweep);
+  } while (sweep.phase !== 'done' && Date.now() < deadline);
+
+  if (sweep.phase === 'done') {
+    await store.delete(shareSweepKey(sweep.id));
+  } else {
+    await store.putJson(shareSweepKey(sweep.id), sweep);
+  }
+
+  return {
+    sweepId: sweep.id,
+    done: sweep.phase === 'done',
+    phase: sweep.phase,
+    dryRun: sweep.dryRun,
+    scannedShares: sweep.scannedShares,
+    deletedShares: sweep.deletedShares,
+    deletedImages: sweep.deletedImages
+  };
+}
+
+module.exports = {
+  DEFAULT_SHARE_DAYS,
+  MAX_SHARE_DAYS,
+  isValidShareId,
+  sharePreviewKeyFor,
+  normalizeShareMessages,
+  normalizeTitle,
+  createShare,
+  loadShare,
+  isShareExpired,
+  loadShareForBrand,
+  openShare,
+  checkSharePassword,
+  recordShareView,
+  remixShare,
+  revokeShare,
+  describeShare,
+  sweepShares
+};
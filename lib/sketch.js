@@ -0,0 +1,98 @@
+// lib/sketch.js - Detect hand-drawn sketches and turn their interpretation into prompt text
+const sharp = require('sharp');
+
+const SAMPLE_SIZE = 128;
+
+// Pencil or pen drawings are nearly colourless, mostly paper, with a small
+// share of dark line pixels. Photos of finished jewelry rarely match all three.
+async function looksLikeSketch(buffer) {
+  const { data, info } = await sharp(buffer)
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'fill' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let colorfulness = 0;
+  let paperPixels = 0;
+  let linePixels = 0;
+  const pixelCount = info.width * info.height;
+
+  for (let index = 0; index < data.length; index += info.channels) {
+    const r = data[index];
+    const g = data[index + 1];
+    const b = data[index + 2];
+    const brightness = (r + g + b) / 3;
+
+    colorfulness += Math.abs(r - g) + Math.abs(g - b);
+    if (brightness > 190) {
+      paperPixels++;
+    } else if (brightness < 120) {
+      linePixels++;
+    }
+  }
+
+  const averageColorfulness = colorfulness / pixelCount;
+  const paperShare = paperPixels / pixelCount;
+  const lineShare = linePixels / pixelCount;
+
+  return averageColorfulness < 14 && paperShare > 0.6 && lineShare > 0.005 && lineShare < 0.3;
+}
+
+// Claude is asked for JSON; tolerate a fenced block or surrounding prose
+function parseSketchNotes(text) {
+  const match = text && text.match(/\{[\s\S]*\}/);
+  if (!match) {
+    return null;
+  }
+
+  try {
+    const notes = JSON.parse(match[0]);
+    if (notes.isSketch === false) {
+      return null;
+    }
+
+    return {
+      jewelryType: notes.jewelryType || null,
+      silhouette: notes.silhouette || null,
+      proportions: notes.proportions || null,
+      stonePlacement: Array.isArray(notes.stonePlacement)
+        ? notes.stonePlacement
+        : (notes.stonePlacement ? [notes.stonePlacement] : []),
+      bandDetails: notes.bandDetails || null,
+      annotations: notes.annotations || null,
+      uncertainties: notes.uncertainties || null
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join('; ');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, entry]) => `${key} ${formatValue(entry)}`).join(', ');
+  }
+  return String(value);
+}
+
+// Short, literal description of what the sketch shows, used in the image prompt
+function describeSketch(notes) {
+  const parts = [];
+
+  if (notes.jewelryType) parts.push(`piece: ${formatValue(notes.jewelryType)}`);
+  if (notes.silhouette) parts.push(`silhouette: ${formatValue(notes.silhouette)}`);
+  if (notes.proportions) parts.push(`proportions: ${formatValue(notes.proportions)}`);
+  if (notes.stonePlacement.length) parts.push(`stone placement: ${formatValue(notes.stonePlacement)}`);
+  if (notes.bandDetails) parts.push(`band: ${formatValue(notes.bandDetails)}`);
+  if (notes.annotations) parts.push(`sketch notes: ${formatValue(notes.annotations)}`);
+
+  return parts.join('. ');
+}
+
+module.exports = {
+  looksLikeSketch,
+  parseSketchNotes,
+  describeSketch
+};
@@ -0,0 +1,137 @@
+// lib/storage/filesystem.js - Local directory backend for offline development
+//
+// Objects live at <root>/<bucket>/<key>; content type, custom metadata and
+// the generation are kept in a parallel <root>/.metadata/<bucket>/<key>.json
+// file. All filesystem calls are synchronous, so a conditional write's check
+// and write cannot interleave with another request in the same process.
+const fs = require('fs');
+const path = require('path');
+const { PreconditionFailedError } = require('./index');
+
+function resolveInside(root, ...segments) {
+  const resolved = path.resolve(root, ...segments);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error(`Invalid object key: ${segments.join('/')}`);
+  }
+  return resolved;
+}
+
+class FilesystemBackend {
+  constructor({ root, bucketName, publicBaseUrl }) {
+    const resolvedRoot = path.resolve(root);
+    this.dataDir = resolveInside(resolvedRoot, bucketName);
+    this.metadataDir = resolveInside(resolvedRoot, '.metadata', bucketName);
+    this.publicBaseUrl = publicBaseUrl;
+  }
+
+  paths(key) {
+    return {
+      dataPath: resolveInside(this.dataDir, key),
+      metadataPath: resolveInside(this.metadataDir, `${key}.json`)
+    };
+  }
+
+  statSync(key) {
+    const { dataPath, metadataPath } = this.paths(key);
+    if (!fs.existsSync(dataPath)) {
+      return null;
+    }
+
+    const stored = fs.existsSync(metadataPath) ? JSON.parse(fs.readFileSync(metadataPath, 'utf8')) : {};
+    const stats = fs.statSync(dataPath);
+    return {
+      key,
+      size: stats.size,
+      contentType: stored.contentType || 'application/octet-stream',
+      metadata: stored.metadata || {},
+      generation: String(stored.generation || stats.mtimeMs),
+      updated: stored.updated || stats.mtime.toISOString()
+    };
+  }
+
+  checkGeneration(key, ifGenerationMatch) {
+    if (ifGenerationMatch === undefined) {
+      return;
+    }
+    const current = this.statSync(key);
+    const currentGeneration = current ? current.generation : '0';
+    if (String(ifGenerationMatch) !== currentGeneration) {
+      throw new PreconditionFailedError(key);
+    }
+  }
+
+  async write(key, data, { contentType = 'application/octet-stream', metadata = null, ifGenerationMatch } = {}) {
+    const { dataPath, metadataPath } = this.paths(key);
+    this.checkGeneration(key, ifGenerationMatch);
+
+    const previous = this.statSync(key);
+    const generation = Math.max(Date.now(), previous ? Number(previous.generation) + 1 : 0);
+
+    fs.mkdirSync(path.dirname(dataPath), { recursive: true });
+    fs.mkdirSync(path.dirname(metadataPath), { recursive: true });
+    fs.writeFileSync(dataPath, data);
+    fs.writeFileSync(metadataPath, JSON.stringify({
+      contentType,
+      metadata: metadata || {},
+      generation,
+      updated: new Date().toISOString()
+    }, null, 2));
+
+    return this.statSync(key);
+  }
+
+  async read(key) {
+    const info = this.statSync(key);
+    return info ? { data: fs.readFileSync(this.paths(key).dataPath), info } : null;
+  }
+
+  async stat(key) {
+    return this.statSync(key);
+  }
+
+  async list(prefix, { startAfter = null, limit = null } = {}) {
+    const keys = [];
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+        } else {
+          const key = path.relative(this.dataDir, fullPath).split(path.sep).join('/');
+          if (key.startsWith(prefix)) {
+            keys.push(key);
+          }
+        }
+      }
+    };
+
+    walk(this.dataDir);
+    const page = keys.sort().filter(key => !startAfter || key > startAfter);
+    return (limit ? page.slice(0, limit) : page).map(key => this.statSync(key));
+  }
+
+  async remove(key, { ifGenerationMatch } = {}) {
+    const { dataPath, metadataPath } = this.paths(key);
+    if (!fs.existsSync(dataPath)) {
+      return false;
+    }
+    this.checkGeneration(key, ifGenerationMatch);
+    fs.rmSync(dataPath);
+    fs.rmSync(metadataPath, { force: true });
+    return true;
+  }
+
+  // Nothing is private locally; the expiry is still enforced by server.js so
+  // links behave like real signed URLs while developing.
+  async signedUrl(key, { expiresInSeconds }) {
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    return `${this.publicBaseUrl}${key}?expires=${expires}`;
+  }
+}
+
+module.exports = {
+  FilesystemBackend
+};
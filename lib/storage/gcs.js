@@ -0,0 +1,136 @@
+// lib/storage/gcs.js - Google Cloud Storage backend
+const { Storage } = require('@google-cloud/storage');
+const { PreconditionFailedError } = require('./index');
+const { parseServiceAccountKey } = require('../services');
+const { callDependency } = require('../resilience');
+
+function isNotFound(error) {
+  return error?.code === 404;
+}
+
+function isPreconditionFailure(error) {
+  return error?.code === 412;
+}
+
+function toInfo(metadata) {
+  return {
+    key: metadata.name,
+    size: parseInt(metadata.size, 10) || 0,
+    contentType: metadata.contentType || 'application/octet-stream',
+    metadata: metadata.metadata || {},
+    generation: String(metadata.generation),
+    updated: metadata.updated
+  };
+}
+
+class GcsBackend {
+  constructor({ bucketName }) {
+    const storage = new Storage({
+      credentials: parseServiceAccountKey(),
+      projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
+    });
+    this.bucket = storage.bucket(bucketName);
+  }
+
+  async write(key, data, { contentType = 'application/octet-stream', metadata = null, ifGenerationMatch } = {}) {
+    const file = this.bucket.file(key);
+    const options = {
+      metadata: metadata ? { contentType, metadata } : { contentType }
+    };
+    if (ifGenerationMatch !== undefined) {
+      options.preconditionOpts = { ifGenerationMatch };
+    }
+
+    try {
+      await callDependency('storage', () => file.save(data, options));
+    } catch (error) {
+      if (isPreconditionFailure(error)) {
+        throw new PreconditionFailedError(key, error);
+      }
+      throw error;
+    }
+    return toInfo(file.metadata);
+  }
+
+  // The download is pinned to the generation that was stat'ed, so the data
+  // and its generation always belong together.
+  async read(key) {
+    const info = await this.stat(key);
+    if (!info) {
+      return null;
+    }
+
+    try {
+      const file = this.bucket.file(key, { generation: info.generation });
+      const [data] = await callDependency('storage', () => file.download());
+      return { data, info };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async stat(key) {
+    try {
+      const [metadata] = await callDependency('storage', () => this.bucket.file(key).getMetadata());
+      return toInfo(metadata);
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async list(prefix, { startAfter = null, limit = null } = {}) {
+    if (!limit) {
+      const [files] = await callDependency('storage', () => this.bucket.getFiles({ prefix }));
+      return files.map(file => toInfo(file.metadata));
+    }
+
+    // startOffset is inclusive and a page may come back short, so keep
+    // reading until one object past the limit is in hand
+    const files = [];
+    let query = { prefix, startOffset: startAfter || undefined, maxResults: limit + 1, autoPaginate: false };
+    while (query && files.length <= limit) {
+      const [page, nextQuery] = await callDependency('storage', () => this.bucket.getFiles(query));
+      files.push(...page);
+      query = nextQuery;
+    }
+    return files
+      .map(file => toInfo(file.metadata))
+      .filter(info => !startAfter || info.key > startAfter)
+      .slice(0, limit);
+  }
+
+  async remove(key, { ifGenerationMatch } = {}) {
+    const options = ifGenerationMatch !== undefined ? { ifGenerationMatch } : {};
+    try {
+      await callDependency('storage', () => this.bucket.file(key).delete(options));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return false;
+      }
+      if (isPreconditionFailure(error)) {
+        throw new PreconditionFailedError(key, error);
+      }
+      throw error;
+    }
+  }
+
+  async signedUrl(key, { action, expiresInSeconds }) {
+    const [url] = await this.bucket.file(key).getSignedUrl({
+      version: 'v4',
+      action,
+      expires: Date.now() + expiresInSeconds * 1000
+    });
+    return url;
+  }
+}
+
+module.exports = {
+  GcsBackend
+};
@@ -0,0 +1,176 @@
+// lib/storage/index.js - Object storage shared by every endpoint
+//
+// Every backend exposes the same interface (keys come from ./keys):
+//   write(key, data, { contentType, metadata, ifGenerationMatch }) -> info
+//   read(key) -> { data: Buffer, info } | null
+//   stat(key) -> info | null
+//   list(prefix, { startAfter, limit }) -> [info] in key order, optionally one page
+//   remove(key, { ifGenerationMatch }) -> true, or false if it was already gone
+//   signedUrl(key, { action, expiresInSeconds }) -> url
+// where info is { key, size, contentType, metadata, generation, updated }.
+//
+// ifGenerationMatch makes a write conditional: 0 only creates a new object,
+// and a generation from an earlier read only replaces that exact version.
+// When the condition fails the backend throws PreconditionFailedError.
+//
+// STORAGE_BACKEND picks "gcs", "filesystem" or "memory"; without it the
+// filesystem backend is used when storage is faked and GCS otherwise.
+const path = require('path');
+const { isFaked } = require('../services');
+
+const BACKEND_LOADERS = {
+  gcs: () => require('./gcs').GcsBackend,
+  filesystem: () => require('./filesystem').FilesystemBackend,
+  memory: () => require('./memory').MemoryBackend
+};
+
+const DEFAULT_SIGNED_URL_SECONDS = 15 * 60;
+const DEFAULT_UPDATE_ATTEMPTS = 5;
+
+class PreconditionFailedError extends Error {
+  constructor(key, cause = null) {
+    super(`${key} was changed by another writer`);
+    this.name = 'PreconditionFailedError';
+    this.key = key;
+    this.cause = cause;
+  }
+}
+
+function getBucketName() {
+  return process.env.GOOGLE_STORAGE_BUCKET || 'jewelry-designs-bucket';
+}
+
+function localStorageDir() {
+  return process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', '.local-storage');
+}
+
+function resolveBackendName() {
+  return process.env.STORAGE_BACKEND || (isFaked('storage') ? 'filesystem' : 'gcs');
+}
+
+// The local server serves the non-GCS backends under /storage/<bucket>/
+function publicBaseUrlFor(backendName, bucketName) {
+  if (backendName === 'gcs') {
+    return `https://storage.googleapis.com/${bucketName}/`;
+  }
+  const serverUrl = process.env.LOCAL_SERVER_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${serverUrl}/storage/${bucketName}/`;
+}
+
+class ObjectStore {
+  constructor(backend, { backendName, bucketName, publicBaseUrl }) {
+    this.backend = backend;
+    this.backendName = backendName;
+    this.bucketName = bucketName;
+    this.publicBaseUrl = publicBaseUrl;
+  }
+
+  put(key, data, options = {}) {
+    return this.backend.write(key, data, options);
+  }
+
+  putJson(key, value, options = {}) {
+    return this.put(key, JSON.stringify(value, null, 2), { ...options, contentType: 'application/json' });
+  }
+
+  // { data, info } with the object's content type, metadata and generation
+  read(key) {
+    return this.backend.read(key);
+  }
+
+  async get(key) {
+    const object = await this.read(key);
+    return object ? object.data : null;
+  }
+
+  async getJson(key) {
+    const data = await this.get(key);
+    return data ? JSON.parse(data.toString()) : null;
+  }
+
+  stat(key) {
+    return this.backend.stat(key);
+  }
+
+  async exists(key) {
+    return (await this.backend.stat(key)) !== null;
+  }
+
+  // With `limit`, returns at most that many objects after `startAfter`; a
+  // full page means there may be more
+  list(prefix = '', options = {}) {
+    return this.backend.list(prefix, options);
+  }
+
+  delete(key, options = {}) {
+    return this.backend.remove(key, options);
+  }
+
+  // Read-modify-write guarded by the object's generation. `update` receives a
+  // fresh copy of the current value (or of `initial`) on every attempt and
+  // returns the value to store; concurrent writers simply retry.
+  async updateJson(key, update, { initial = null, attempts = DEFAULT_UPDATE_ATTEMPTS } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const object = await this.read(key);
+      const current = object ? JSON.parse(object.data.toString()) : structuredClone(initial);
+      const next = await update(current);
+
+      try {
+        await this.putJson(key, next, { ifGenerationMatch: object ? object.info.generation : 0 });
+        return next;
+      } catch (error) {
+        if (!(error instanceof PreconditionFailedError) || attempt >= attempts) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  publicUrl(key) {
+    return `${this.publicBaseUrl}${key}`;
+  }
+
+  // Maps one of our own public URLs back to its key; foreign URLs give null
+  keyFromPublicUrl(url) {
+    if (typeof url !== 'string' || !url.startsWith(this.publicBaseUrl)) {
+      return null;
+    }
+    return decodeURIComponent(url.slice(this.publicBaseUrl.length).split('?')[0]);
+  }
+
+  signedUrl(key, { action = 'read', expiresInSeconds = DEFAULT_SIGNED_URL_SECONDS } = {}) {
+    return this.backend.signedUrl(key, { action, expiresInSeconds });
+  }
+}
+
+function createStore(backendName = resolveBackendName(), options = {}) {
+  const load = BACKEND_LOADERS[backendName];
+  if (!load) {
+    throw new Error(`Unknown storage backend: ${backendName}`);
+  }
+
+  const bucketName = options.bucketName || getBucketName();
+  const publicBaseUrl = publicBaseUrlFor(backendName, bucketName);
+  const Backend = load();
+  const backend = new Backend({ bucketName, publicBaseUrl, root: options.root || localStorageDir() });
+  return new ObjectStore(backend, { backendName, bucketName, publicBaseUrl });
+}
+
+// One store per (warm) function instance
+let defaultStore = null;
+
+function getStore() {
+  if (!defaultStore) {
+    defaultStore = createStore();
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  PreconditionFailedError,
+  ObjectStore,
+  getBucketName,
+  localStorageDir,
+  createStore,
+  getStore
+};
@@ -0,0 +1,189 @@
+// lib/storage/keys.js - Every object key the service reads or writes
+//
+// Endpoints never build object names themselves; they ask for a key here so
+// the bucket layout is documented and changed in one place. Brand-owned
+// objects live under the brand's storagePrefix ('' for the default brand).
+//
+//   jobs/{jobId}.json                             async chat job records
+//   sessions/{sessionId}.json                     design sessions
+//   variant-groups/{groupId}.json                 variant sets awaiting a pick
+//   shared-conversations/{recordId}.json          shared conversations, keyed by a secret hash of the share ID
+//   shared-conversations/{previewId}.preview.jpg  social preview collage, keyed by another secret hash
+//   share-sweeps/{sweepId}.json                   progress of a share sweep spanning several calls
+//   analytics/global-stats.json                   usage counters
+//   api-keys/{keyId}.json                         retailer API keys (hashed secrets)
+//   rate-limits/{policy}/{subject}/{start}.json   sliding-window request counters
+//   quotas/{brand}/{day}/{shard}.json             images generated per brand per day, sharded
+//   quotas/{brand}/override.json                  admin override of a brand's quota
+//   {prefix}references/{hash}.jpg                 uploaded reference images
+//   {prefix}references/{hash}.analysis.json       cached reference analyses
+//   {prefix}shared-images/{hash}.{ext}            images embedded in shares
+//   {prefix}jewelry-catalog-{ts}[-vN].png         generated images
+//   {prefix}jewelry-refined-{ts}[-vN].png         refined images
+//   {stem}-{size}.{format}                        renditions next to their master
+//   {prefix}designs/{designId}/{view}.png         view pack images
+//   {prefix}designs/{designId}/manifest.json      view pack manifest
+
+// Prefixes for listing every object of one kind
+const SESSIONS_PREFIX = 'sessions/';
+const SHARED_CONVERSATIONS_PREFIX = 'shared-conversations/';
+const API_KEYS_PREFIX = 'api-keys/';
+
+function jobKey(jobId) {
+  return `jobs/${jobId}.json`;
+}
+
+function sessionKey(sessionId) {
+  return `${SESSIONS_PREFIX}${sessionId}.json`;
+}
+
+function variantGroupKey(groupId) {
+  return `variant-groups/${groupId}.json`;
+}
+
+// The bucket is publicly readable, so records are not stored under the share
+// ID from the link; lib/shares derives `recordId` from it with a secret.
+function sharedConversationKey(recordId) {
+  return `${SHARED_CONVERSATIONS_PREFIX}${recordId}.json`;
+}
+
+// Where shares made before that change were stored
+function legacySharedConversationKey(shareId) {
+  return `${SHARED_CONVERSATIONS_PREFIX}${shareId}.json`;
+}
+
+// Previews are public (their URL is in the page's og:image), so `previewId`
+// is derived separately and never reveals the record's key
+function sharePreviewKey(previewId) {
+  return `${SHARED_CONVERSATIONS_PREFIX}${previewId}.preview.jpg`;
+}
+
+function shareSweepKey(sweepId) {
+  return `share-sweeps/${sweepId}.json`;
+}
+
+function analyticsStatsKey() {
+  return 'analytics/global-stats.json';
+}
+
+function apiKeyKey(keyId) {
+  return `${API_KEYS_PREFIX}${keyId}.json`;
+}
+
+// Subjects are hashed by the caller, so no IP address ends up in a key
+function rateLimitSubjectPrefix(policy, subject) {
+  return `rate-limits/${policy}/${subject}/`;
+}
+
+function rateLimitWindowKey(policy, subject, windowStart) {
+  return `${rateLimitSubjectPrefix(policy, subject)}${windowStart}.json`;
+}
+
+function dailyQuotaKey(brand, day, shard) {
+  return `quotas/${brand}/${day}/${shard}.json`;
+}
+
+function quotaOverrideKey(brand) {
+  return `quotas/${brand}/override.json`;
+}
+
+// Reference images are stored by the hash of their processed bytes, with the
+// cached analyses in a JSON sidecar next to them.
+function referenceImageKey(hash, storagePrefix = '') {
+  return `${storagePrefix}references/${hash}.jpg`;
+}
+
+function referenceAnalysisKey(hash, storagePrefix = '') {
+  return `${storagePrefix}references/${hash}.analysis.json`;
+}
+
+// Images that arrive embedded in a share are stored by the hash of their bytes
+function sharedImageKey(hash, extension, storagePrefix = '') {
+  return `${storagePrefix}shared-images/${hash}.${extension}`;
+}
+
+// Generated images are addressed by a stem; the master PNG, its variants and
+// its renditions are all derived from it.
+function generatedImageStem(storagePrefix = '', { refined = false, timestamp = Date.now() } = {}) {
+  return `${storagePrefix}jewelry-${refined ? 'refined' : 'catalog'}-${timestamp}`;
+}
+
+function variantStem(stem, index, count) {
+  return count > 1 ? `${stem}-v${index + 1}` : stem;
+}
+
+function masterImageKey(stem) {
+  return `${stem}.png`;
+}
+
+function renditionKey(stem, size, format) {
+  return `${stem}-${size}.${format}`;
+}
+
+function designViewStem(storagePrefix, designId, view) {
+  return `${storagePrefix}designs/${designId}/${view}`;
+}
+
+function designManifestKey(storagePrefix, designId) {
+  return `${storagePrefix}designs/${designId}/manifest.json`;
+}
+
+// Stems of generated, refined and view pack images (see generatedImageStem,
+// variantStem and designViewStem)
+const GENERATED_STEM = '(?:jewelry-(?:catalog|refined)-\\d+(?:-v\\d+)?|designs/design_\\d+_[A-Za-z0-9_-]+/[a-z0-9-]+)';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Master PNGs the image services produced for this brand; the only keys a
+// refinement may start from.
+function isGeneratedImageKey(key, storagePrefix = '') {
+  return typeof key === 'string'
+    && new RegExp(`^${escapeRegExp(storagePrefix)}${GENERATED_STEM}\\.png$`).test(key);
+}
+
+// Any image of this brand: generated masters and their renditions, reference
+// uploads and images embedded in shares. Keys from outside the brand's
+// prefix, and JSON records, never match.
+function isImageKey(key, storagePrefix = '') {
+  if (typeof key !== 'string') {
+    return false;
+  }
+  const pattern = new RegExp(`^${escapeRegExp(storagePrefix)}(?:`
+    + `${GENERATED_STEM}(?:-[a-z]+\\.(?:png|webp|avif)|\\.png)`
+    + '|references/[a-f0-9]{64}\\.jpg'
+    + '|shared-images/[a-f0-9]{64}\\.(?:png|jpg|webp)'
+    + ')$');
+  return pattern.test(key);
+}
+
+module.exports = {
+  SESSIONS_PREFIX,
+  SHARED_CONVERSATIONS_PREFIX,
+  API_KEYS_PREFIX,
+  jobKey,
+  sessionKey,
+  variantGroupKey,
+  sharedConversationKey,
+  legacySharedConversationKey,
+  sharePreviewKey,
+  shareSweepKey,
+  analyticsStatsKey,
+  apiKeyKey,
+  rateLimitSubjectPrefix,
+  rateLimitWindowKey,
+  dailyQuotaKey,
+  quotaOverrideKey,
+  referenceImageKey,
+  referenceAnalysisKey,
+  sharedImageKey,
+  generatedImageStem,
+  variantStem,
+  masterImageKey,
+  renditionKey,
+  designViewStem,
+  designManifestKey,
+  isGeneratedImageKey,
+  isImageKey
+};
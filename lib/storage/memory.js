@@ -0,0 +1,74 @@
+// lib/storage/memory.js - In-process backend for scripts and throwaway runs
+//
+// Objects are lost when the process exits. server.js can still serve them,
+// since the handlers and the server share one process.
+const { PreconditionFailedError } = require('./index');
+
+class MemoryBackend {
+  constructor({ publicBaseUrl }) {
+    this.objects = new Map();
+    this.nextGeneration = 1;
+    this.publicBaseUrl = publicBaseUrl;
+  }
+
+  checkGeneration(key, ifGenerationMatch) {
+    if (ifGenerationMatch === undefined) {
+      return;
+    }
+    const current = this.objects.get(key);
+    if (String(ifGenerationMatch) !== (current ? current.info.generation : '0')) {
+      throw new PreconditionFailedError(key);
+    }
+  }
+
+  async write(key, data, { contentType = 'application/octet-stream', metadata = null, ifGenerationMatch } = {}) {
+    this.checkGeneration(key, ifGenerationMatch);
+
+    const buffer = Buffer.from(data);
+    const info = {
+      key,
+      size: buffer.length,
+      contentType,
+      metadata: metadata || {},
+      generation: String(this.nextGeneration++),
+      updated: new Date().toISOString()
+    };
+    this.objects.set(key, { data: buffer, info });
+    return { ...info };
+  }
+
+  async read(key) {
+    const object = this.objects.get(key);
+    return object ? { data: Buffer.from(object.data), info: { ...object.info } } : null;
+  }
+
+  async stat(key) {
+    const object = this.objects.get(key);
+    return object ? { ...object.info } : null;
+  }
+
+  async list(prefix, { startAfter = null, limit = null } = {}) {
+    const page = [...this.objects.keys()]
+      .filter(key => key.startsWith(prefix) && (!startAfter || key > startAfter))
+      .sort();
+    return (limit ? page.slice(0, limit) : page).map(key => ({ ...this.objects.get(key).info }));
+  }
+
+  async remove(key, { ifGenerationMatch } = {}) {
+    if (!this.objects.has(key)) {
+      return false;
+    }
+    this.checkGeneration(key, ifGenerationMatch);
+    this.objects.delete(key);
+    return true;
+  }
+
+  async signedUrl(key, { expiresInSeconds }) {
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    return `${this.publicBaseUrl}${key}?expires=${expires}`;
+  }
+}
+
+module.exports = {
+  MemoryBackend
+};
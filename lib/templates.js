@@ -0,0 +1,82 @@
+// lib/templates.js - Versioned prompt templates stored under prompts/<id>/v<version>.txt
+//
+// Templates use a small mustache-like syntax:
+//   {{name}}                   substitute a variable
+//   {{#name}}...{{/name}}      keep the block only when the variable is truthy
+//   {{^name}}...{{/name}}      keep the block only when the variable is falsy
+// Published versions are never edited; add a new version file instead so
+// existing image metadata keeps pointing at the exact wording used.
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'prompts');
+const TEMPLATE_REF_PATTERN = /^([a-z0-9-]+)@(\d+)$/;
+
+const cache = new Map();
+
+function parseTemplateRef(ref) {
+  const match = TEMPLATE_REF_PATTERN.exec(ref || '');
+  if (!match) {
+    throw new Error(`Invalid prompt template reference: ${ref}`);
+  }
+  return { id: match[1], version: match[2] };
+}
+
+function loadTemplate(ref) {
+  if (cache.has(ref)) {
+    return cache.get(ref);
+  }
+
+  const { id, version } = parseTemplateRef(ref);
+  const filePath = path.join(TEMPLATE_DIR, id, `v${version}.txt`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Prompt template not found: ${ref}`);
+  }
+
+  // Section tags on a line of their own don't leave a blank line behind
+  const source = fs.readFileSync(filePath, 'utf8')
+    .replace(/^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*\r?\n/gm, '$1');
+
+  const template = { id, version, source };
+  cache.set(ref, template);
+  return template;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function renderSource(source, variables) {
+  const withSections = source.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, type, name, block) => {
+    const show = type === '#' ? isTruthy(variables[name]) : !isTruthy(variables[name]);
+    return show ? renderSource(block, variables) : '';
+  });
+
+  return withSections.replace(/\{\{(\w+)\}\}/g, (_, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+// Returns { text, id, version } so callers can record which wording was used
+function renderTemplate(ref, variables = {}) {
+  const template = loadTemplate(ref);
+  const text = renderSource(template.source, variables)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { text, id: template.id, version: template.version };
+}
+
+function templateRef({ id, version }) {
+  return `${id}@${version}`;
+}
+
+module.exports = {
+  parseTemplateRef,
+  renderTemplate,
+  templateRef
+};
@@ -0,0 +1,202 @@
+// server.js - Local development server that mounts every api/*.js handler at its Vercel route
+//
+// Requests get the same helpers Vercel provides (req.query, req.body,
+// res.status/json/send/redirect). Bodies are parsed like Vercel's Node
+// runtime: JSON, urlencoded and text are parsed up front, while multipart
+// streams are left untouched for multer. Run with --offline (or
+// OFFLINE_MODE=true) to use the local fakes from lib/offline and the
+// filesystem storage backend instead of Anthropic, Vertex, Cloud Storage and
+// HubSpot; offline, requests without an API key are also let through unless
+// ALLOW_ANONYMOUS_ACCESS=false.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const querystring = require('querystring');
+
+if (process.argv.includes('--offline')) {
+  process.env.OFFLINE_MODE = 'true';
+  process.env.ALLOW_ANONYMOUS_ACCESS = process.env.ALLOW_ANONYMOUS_ACCESS || 'true';
+}
+
+const { isFaked, FAKEABLE_SERVICES } = require('./lib/services');
+const { getStore } = require('./lib/storage');
+
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const API_DIR = path.join(__dirname, 'api');
+const MAX_BODY_BYTES = 4.5 * 1024 * 1024; // Vercel's request body limit
+
+function loadHandlers() {
+  const handlers = {};
+  for (const filename of fs.readdirSync(API_DIR).filter(name => name.endsWith('.js'))) {
+    const route = `/api/${filename.replace(/\.js$/, '')}`;
+    try {
+      handlers[route] = require(path.join(API_DIR, filename));
+    } catch (error) {
+      console.error(`Could not load ${route}:`, error.message);
+      handlers[route] = (req, res) => res.status(500).json({ error: `Handler ${route} failed to load` });
+    }
+  }
+  return handlers;
+}
+
+// Repeated query keys become arrays, as on Vercel
+function parseQuery(searchParams) {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  }
+  return query;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function parseBody(req) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  if (contentType === 'multipart/form-data') {
+    return undefined;
+  }
+
+  const raw = await readBody(req);
+  if (raw.length === 0) {
+    return null;
+  }
+
+  switch (contentType) {
+    case 'application/json':
+      try {
+        return JSON.parse(raw.toString('utf8'));
+      } catch (e) {
+        throw Object.assign(new Error('Invalid JSON'), { statusCode: 400 });
+      }
+    case 'application/x-www-form-urlencoded':
+      return querystring.parse(raw.toString('utf8'));
+    case 'text/plain':
+      return raw.toString('utf8');
+    default:
+      return raw;
+  }
+}
+
+function addResponseHelpers(res) {
+  res.status = (statusCode) => {
+    res.statusCode = statusCode;
+    return res;
+  };
+  res.json = (data) => {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify(data));
+    return res;
+  };
+  res.send = (data) => {
+    if (data !== null && typeof data === 'object' && !Buffer.isBuffer(data)) {
+      return res.json(data);
+    }
+    res.end(data);
+    return res;
+  };
+  res.redirect = (statusOrUrl, url) => {
+    const [statusCode, location] = url === undefined ? [307, statusOrUrl] : [statusOrUrl, url];
+    res.writeHead(statusCode, { Location: location });
+    res.end();
+    return res;
+  };
+}
+
+// Serves objects from the local storage backends so stored image URLs work
+// in the browser. Signed URLs carry an `expires` timestamp that is honored.
+async function serveLocalObject(pathname, searchParams, res) {
+  const store = getStore();
+  const prefix = `/storage/${store.bucketName}/`;
+  if (!pathname.startsWith(prefix)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const expires = parseInt(searchParams.get('expires'), 10);
+  if (expires && expires * 1000 < Date.now()) {
+    return res.status(403).json({ error: 'Link expired' });
+  }
+
+  let object = null;
+  try {
+    object = await store.read(decodeURIComponent(pathname.slice(prefix.length)));
+  } catch (error) {
+    console.error('Could not read local object:', error.message);
+  }
+  if (!object) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  res.setHeader('Content-Type', object.info.contentType);
+  res.end(object.data);
+}
+
+function createServer(handlers = loadHandlers()) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const pathname = url.pathname.replace(/\/$/, '');
+    addResponseHelpers(res);
+
+    if (pathname.startsWith('/storage/') && getStore().backendName !== 'gcs') {
+      return serveLocalObject(pathname, url.searchParams, res);
+    }
+
+    const handler = handlers[pathname];
+    if (!handler) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    try {
+      req.query = parseQuery(url.searchParams);
+      req.body = await parseBody(req);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({ error: error.message });
+    }
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`Unhandled error in ${pathname}:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Internal error' });
+      } else {
+        res.end();
+      }
+    }
+  });
+}
+
+if (require.main === module) {
+  const handlers = loadHandlers();
+  createServer(handlers).listen(PORT, () => {
+    const fakes = FAKEABLE_SERVICES.filter(isFaked);
+    console.log(`Local API listening on http://localhost:${PORT}`);
+    console.log(`Routes: ${Object.keys(handlers).join(', ')}`);
+    console.log(fakes.length ? `Offline fakes: ${fakes.join(', ')}` : 'Using live services');
+    console.log(`Storage backend: ${getStore().backendName}`);
+  });
+}
+
+module.exports = { createServer };